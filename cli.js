@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+import { readFileSync } from 'node:fs'
+import path from 'node:path'
+
+import { build, buildWorkspaces } from './distilt.js'
+
+const USAGE = `Usage: distilt [options]
+
+Options:
+  --cwd <dir>           Directory to search the package from (default: current directory)
+  --config <file>       Config file (default: distilt.config.js in the package root)
+  --no-config           Do not load a config file
+  --out-dir <dir>       Output directory (default: publishConfig.directory or dist)
+  --targets <list>      Comma separated list of targets to build (default: all)
+                        node, script, browser, worker, module, deno, esnext
+                        and the opt-in bun, edge, react-native
+  --mode <mode>         production, development or both
+                        (default: development bundles only if a source imports distilt/env)
+  --no-types            Do not generate typescript declarations
+  --no-dedupe           Do not de-duplicate entry points based on content
+  --no-cache            Do not restore unchanged bundles from node_modules/.cache/distilt
+  --no-verify           Do not check that every exports path exists and the node conditions load
+  --no-sizes            Do not print, record and check the bundle sizes
+  --no-size-limit       Do not run size-limit
+  --stats[=html]        Write the chunks, modules and bundled dependencies of each target
+                        to .distilt/stats/<target>.json in the output directory (and a treemap)
+  --strict              Fail on problems found in the generated package.json
+  --watch               Rebuild affected bundles on change
+  --workspaces          Build all workspace packages in dependency order
+  --filter <patterns>   Comma separated package names or directories to build (globs allowed);
+                        append ... to include their workspace dependencies
+  --concurrency <n>     Maximum number of packages to build in parallel (default: cpu count)
+  --help                Show this help
+`
+
+main().catch((error) => {
+  console.error(error)
+  process.exit(1)
+})
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2))
+
+  if (options.help) {
+    console.log(USAGE)
+    return
+  }
+
+  if (options.filter && !options.workspaces) {
+    throw new Error(`--filter requires --workspaces\n\n${USAGE}`)
+  }
+
+  const result = options.workspaces ? await buildWorkspaces(options) : await build(options)
+
+  if (options.watch) {
+    console.log('Watching for changes...')
+
+    const close = async () => {
+      await result.close()
+
+      process.exit(0)
+    }
+
+    process.once('SIGINT', close)
+    process.once('SIGTERM', close)
+
+    return
+  }
+
+  if (options.workspaces) {
+    for (const { status, result: packageResult } of result.packages) {
+      if (status === 'built') {
+        await sizeLimit(packageResult, options)
+      } else {
+        process.exitCode = 1
+      }
+    }
+  } else {
+    await sizeLimit(result, options)
+  }
+}
+
+async function sizeLimit({ root }, options) {
+  const packageManifest = JSON.parse(
+    readFileSync(path.resolve(root, 'package.json'), { encoding: 'utf-8' }),
+  )
+
+  if (packageManifest['size-limit'] && options.sizeLimit) {
+    const { default: run } = await import('size-limit/run.js')
+
+    // size-limit reads its own arguments and the package from the process
+    await run(
+      Object.create(process, {
+        argv: { value: process.argv.slice(0, 2) },
+        cwd: { value: () => root },
+      }),
+    )
+  }
+}
+
+/**
+ * Parse command line arguments into an options object
+ */
+function parseArgs(argv) {
+  const strings = ['cwd', 'config', 'outDir', 'targets', 'mode', 'filter', 'concurrency']
+  const booleans = [
+    'types',
+    'dedupe',
+    'verify',
+    'strict',
+    'cache',
+    'sizes',
+    'sizeLimit',
+    'stats',
+    'watch',
+    'workspaces',
+    'help',
+  ]
+
+  const options = {
+    types: true,
+    dedupe: true,
+    verify: true,
+    cache: true,
+    sizes: true,
+    sizeLimit: true,
+  }
+
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index]
+
+    // --out-dir dist, --out-dir=dist, --no-types
+    const [, negated, flag, inlineValue] = arg.match(/^--(no-)?([^=]+)(?:=(.*))?$/) || []
+    const name = flag?.replace(/-(\w)/g, (_, char) => char.toUpperCase())
+
+    if (strings.includes(name) && negated && inlineValue === undefined) {
+      // --no-config
+      options[name] = false
+    } else if (strings.includes(name)) {
+      const value = inlineValue ?? argv[++index]
+
+      if (value === undefined || value.startsWith('--')) {
+        throw new Error(`Missing value for ${arg}\n\n${USAGE}`)
+      }
+
+      options[name] = value
+    } else if (name === 'stats' && !negated && inlineValue === 'html') {
+      // --stats=html
+      options.stats = inlineValue
+    } else if (booleans.includes(name) && inlineValue === undefined) {
+      options[name] = !negated
+    } else if (arg === '-h') {
+      options.help = true
+    } else {
+      throw new Error(`Unknown argument ${arg}\n\n${USAGE}`)
+    }
+  }
+
+  return options
+}
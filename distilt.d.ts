@@ -0,0 +1,173 @@
+import type { InputOptions, OutputOptions, Plugin } from 'rollup'
+
+export type Target =
+  | 'node'
+  | 'script'
+  | 'browser'
+  | 'worker'
+  | 'module'
+  | 'deno'
+  | 'esnext'
+  | 'bun'
+  | 'edge'
+  | 'react-native'
+
+export interface Logger {
+  log(message: string): void
+  warn(message: string): void
+  error(message: unknown): void
+}
+
+export interface ConfigContext {
+  target: Target
+  mode: 'production' | 'development'
+}
+
+/** Objects are merged deeply into the defaults; functions may modify or return new options */
+export type OptionsHook<T> = Partial<T> | ((options: T, context: ConfigContext) => T | void)
+
+export interface TargetConfig {
+  /** Added before the swc plugin — use a function to create new plugin instances for each build */
+  plugins?: Plugin[] | ((context: ConfigContext) => Plugin[])
+  input?: OptionsHook<InputOptions>
+  output?: OptionsHook<OutputOptions>
+  /** Options passed to the swc transform — see https://swc.rs/docs/configuration/swcrc */
+  swc?: OptionsHook<Record<string, any>>
+}
+
+export interface Config extends TargetConfig {
+  /** Applied after the global config */
+  targets?: Partial<Record<Target, TargetConfig>>
+}
+
+export type ConfigExport =
+  | Config
+  | ((context: { root: string; watch: boolean }) => Config | Promise<Config>)
+
+export interface BuildOptions {
+  /** Directory to search the package from (default: `process.cwd()`) */
+  cwd?: string
+  /**
+   * Path to a config file, an inline config or `false` to not load one
+   * (default: `distilt.config.js` in the package root)
+   */
+  config?: string | Config | false
+  /** Output directory (default: `publishConfig.directory` or `dist`) */
+  outDir?: string
+  /** Targets to build (default: all) — a comma separated string or an array */
+  targets?: string | Target[]
+  /** Default: development bundles only if a source imports `distilt/env` */
+  mode?: 'production' | 'development' | 'both'
+  /** Generate typescript declarations (default: `true`) */
+  types?: boolean
+  /** De-duplicate entry points based on content (default: `true`) */
+  dedupe?: boolean
+  /**
+   * Restore the bundles of targets whose sources, dependencies and options have not changed from
+   * `node_modules/.cache/distilt` (default: `true`, not used in watch mode)
+   */
+  cache?: boolean
+  /**
+   * Check that every path in the generated exports exists and that the node conditions
+   * can be loaded with `require()` and `import()` (default: `true`, skipped in watch mode)
+   */
+  verify?: boolean
+  /** Fail instead of warn on problems found in the generated `package.json` (default: `false`) */
+  strict?: boolean
+  /**
+   * Print the raw, gzip and brotli sizes, record them in `.distilt/sizes.json` of the output
+   * directory and check `publishConfig.budgets` (default: `true`, skipped in watch mode)
+   */
+  sizes?: boolean
+  /**
+   * Write the chunks, modules and bundled dependencies of each target to `.distilt/stats` of the
+   * output directory — `'html'` adds a treemap (default: `false`, skipped in watch mode)
+   */
+  stats?: boolean | 'html'
+  /** Keep rebuilding the affected bundles on change until `close()` is called */
+  watch?: boolean
+  /** Where to report progress (default: `console`) */
+  logger?: Logger
+}
+
+export interface BuildWarning {
+  code?: string
+  message: string
+}
+
+export interface BundleSize {
+  /** The exports path relative to `dist` */
+  file: string
+  /** Bytes of the file and all files it imports statically */
+  raw: number
+  gzip: number
+  brotli: number
+}
+
+export interface BuildResult {
+  name: string
+  version: string
+  /** The package root */
+  root: string
+  /** The output directory */
+  dist: string
+  /** The generated `package.json` */
+  manifest: Record<string, unknown>
+  /** Emitted files per target, declarations (`types`) and stylesheets (`style`) relative to `dist` */
+  files: Partial<Record<Target | 'types' | 'style', string[]>>
+  /** Sizes by entry point and condition path like `node.require` — unset without `sizes` */
+  sizes?: Record<string, Record<string, BundleSize>>
+  /** Duration in milliseconds per step */
+  timings: Record<string, number>
+  warnings: BuildWarning[]
+  /** Stops the watchers — a no-op without `watch` */
+  close(): Promise<unknown>
+}
+
+export function build(options?: BuildOptions): Promise<BuildResult>
+
+export interface WorkspaceOptions extends Omit<BuildOptions, 'cwd'> {
+  /** Directory inside the workspace (default: `process.cwd()`) */
+  cwd?: string
+  /**
+   * Package names or directories (globs allowed) to build — a comma separated string or an array;
+   * a trailing `...` includes the dependencies of the package (default: all)
+   */
+  filter?: string | string[]
+  /** Maximum number of packages to build at the same time (default: number of cpus) */
+  concurrency?: number
+}
+
+export interface WorkspacePackageReport {
+  name: string
+  root: string
+  status: 'built' | 'failed' | 'skipped'
+  /** Duration in milliseconds */
+  duration: number
+  result?: BuildResult
+  error?: unknown
+  /** Why the package has been skipped */
+  reason?: string
+}
+
+export interface WorkspaceResult {
+  /** The workspace root */
+  root: string
+  /** In dependency order */
+  packages: WorkspacePackageReport[]
+  duration: number
+  /** Stops the watchers of all packages — a no-op without `watch` */
+  close(): Promise<unknown>
+}
+
+/**
+ * Build all (or the filtered) workspace packages in dependency order
+ */
+export function buildWorkspaces(options?: WorkspaceOptions): Promise<WorkspaceResult>
+
+export function defineConfig<T extends ConfigExport>(config: T): T
+
+/**
+ * Search up for the nearest `package.json`
+ */
+export function searchForPackageRoot(current: string, root?: string): string
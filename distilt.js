@@ -1,17 +1,20 @@
-#!/usr/bin/env node
-
 import { existsSync, accessSync, readFileSync } from 'node:fs'
 import fs from 'node:fs/promises'
+import { createHash } from 'node:crypto'
+import os from 'node:os'
 import path from 'node:path'
-import { fileURLToPath } from 'node:url'
+import { fileURLToPath, pathToFileURL } from 'node:url'
 import { createRequire } from 'node:module'
+import { performance } from 'node:perf_hooks'
+import { promisify } from 'node:util'
+import zlib from 'node:zlib'
 
 import { findUpSync } from 'find-up'
 import normalizeData from 'normalize-package-data'
 import { globby } from 'globby'
 import { makeLegalIdentifier } from '@rollup/pluginutils'
 
-import { rollup } from 'rollup'
+import { rollup, watch, VERSION as rollupVersion } from 'rollup'
 import { nodeResolve } from '@rollup/plugin-node-resolve'
 import commonjs from '@rollup/plugin-commonjs'
 import * as dynamicImportVarsNS from '@rollup/plugin-dynamic-import-vars'
@@ -21,34 +24,90 @@ import inject from '@rollup/plugin-inject'
 
 import * as tsPathsNS from 'rollup-plugin-tsconfig-paths'
 
-import { transform, minify } from '@swc/core'
+import { transform, minify, version as swcVersion } from '@swc/core'
 
 import dts from 'rollup-plugin-dts'
 import { execa } from 'execa'
 
 import semver from 'semver'
 
+const DISTILT_VERSION = JSON.parse(
+  readFileSync(new URL('./package.json', import.meta.url), 'utf8'),
+).version
+
 const dynamicImportVars = dynamicImportVarsNS.default?.default || dynamicImportVarsNS.default
 const tsPaths = tsPathsNS.default?.default || tsPathsNS.default
 
-main().catch((error) => {
-  console.error(error)
-  process.exit(1)
-})
+const nodeShim = fileURLToPath(new URL('./shim-node-cjs.js', import.meta.url))
 
-function findPaths() {
-  const current = process.cwd()
+function findPaths(cwd = process.cwd()) {
+  const current = path.resolve(cwd)
   const root = searchForPackageRoot(current)
   const workspace = searchForWorkspaceRoot(current, root)
   const dist = path.resolve(root, 'dist')
 
   const tsconfig = findUpSync('tsconfig.json', { cwd: root })
 
-  return { current, workspace, root, relative: path.relative(workspace, root), dist, tsconfig }
+  // kept between builds
+  const cache = path.resolve(root, 'node_modules', '.cache', 'distilt')
+
+  return {
+    current,
+    workspace,
+    root,
+    relative: path.relative(workspace, root),
+    dist,
+    tsconfig,
+    cache,
+  }
 }
 
-async function main() {
-  const paths = findPaths()
+/**
+ * Bundle the package and generate a publishable `package.json`
+ *
+ * Resolves once the (initial) build is done. In watch mode the watchers keep running until `close()`
+ * of the result is called.
+ */
+export async function build({ logger = console, ...options } = {}) {
+  options = { types: true, dedupe: true, verify: true, cache: true, sizes: true, ...options }
+
+  if (options.mode && !['production', 'development', 'both'].includes(options.mode)) {
+    throw new Error(
+      `Invalid mode "${options.mode}" — expected one of production, development or both`,
+    )
+  }
+
+  const timings = {}
+  const warnings = []
+  const files = {}
+
+  const started = new Map()
+
+  const time = (label) => {
+    started.set(label, performance.now())
+  }
+
+  const timeEnd = (label, message = label) => {
+    const duration = performance.now() - started.get(label)
+
+    timings[message] = duration
+
+    logger.log(`${message}: ${formatDuration(duration)}`)
+  }
+
+  const addWarning = (warning) => {
+    warnings.push({ code: warning.code, message: warning.message })
+
+    logger.warn(`(!) ${warning.message}`)
+  }
+
+  const addFiles = (target, fileNames) => {
+    files[target] = [...new Set([...(files[target] || []), ...fileNames])]
+  }
+
+  const paths = findPaths(options.cwd)
+
+  const config = await loadConfig(options.config, paths, options)
 
   const workspaceManifest = JSON.parse(
     readFileSync(path.resolve(paths.workspace, 'package.json'), { encoding: 'utf-8' }),
@@ -107,10 +166,15 @@ async function main() {
     }
   }
 
-  if (manifest.publishConfig?.directory) {
+  if (options.outDir) {
+    paths.dist = path.resolve(paths.current, options.outDir)
+  } else if (manifest.publishConfig?.directory) {
     paths.dist = path.resolve(paths.root, manifest.publishConfig.directory)
   }
 
+  // Declarations are only generated for typescript projects
+  const withTypes = Boolean(paths.tsconfig && options.types)
+
   const resolveExtensions = ['.tsx', '.ts', '.jsx', '.mjs', '.js', '.cjs', '.css', '.json']
 
   const globalName = manifest.globalName || manifest.amdName || makeGlobalName(manifest.name)
@@ -141,8 +205,41 @@ async function main() {
     module: manifest.publishConfig?.targets?.module ?? 'es2020',
     deno: manifest.publishConfig?.targets?.deno ?? 'es2022',
     esnext: manifest.publishConfig?.targets?.esnext ?? 'es2022',
+    // opt-in — `true` uses the default syntax target
+    bun: optInTarget(manifest.publishConfig?.targets?.bun, 'es2022'),
+    edge: optInTarget(manifest.publishConfig?.targets?.edge, 'es2022'),
+    'react-native': optInTarget(manifest.publishConfig?.targets?.['react-native'], 'es2019'),
+  }
+
+  if (options.targets) {
+    const selected = (
+      typeof options.targets === 'string' ? options.targets.split(',') : options.targets
+    ).map((target) => target.trim())
+
+    for (const target of selected) {
+      if (!(target in targets)) {
+        throw new Error(
+          `Unknown target "${target}" — expected one of ${Object.keys(targets).join(', ')}`,
+        )
+      }
+
+      if (!targets[target]) {
+        throw new Error(
+          `Target "${target}" is not enabled — use "publishConfig": { "targets": { "${target}": true } }`,
+        )
+      }
+    }
+
+    for (const target of Object.keys(targets)) {
+      if (!selected.includes(target)) {
+        targets[target] = undefined
+      }
+    }
   }
 
+  // The mode of the un-suffixed bundles; development bundles of a production build get a `.dev` suffix
+  const primaryMode = options.mode === 'development' ? 'development' : 'production'
+
   // Bundled dependencies are included in every bundle
   const bundledDependencies = [
     ...(manifest.bundledDependencies || []),
@@ -166,14 +263,647 @@ async function main() {
   // The package itself is external as well
   external.push(manifest.name)
 
+  // the global names of the peerDependencies used by `script` exports
+  const scriptGlobals = {
+    lodash: '_',
+    'lodash-es': '_',
+    jquery: '$',
+    ...manifest.publishConfig?.globals,
+  }
+
+  // `script` exports are additionally bundled as UMD — usable as AMD, CommonJS or global
+  const scriptFormats = manifest.publishConfig?.umd ? ['iife', 'umd'] : ['iife']
+
+  // 'dual': cjs bundle with an esm wrapper, 'esm': native es module bundle, 'cjs': cjs bundle only
+  const nodeFormat = manifest.publishConfig?.nodeFormat || 'dual'
+
+  if (!['dual', 'esm', 'cjs'].includes(nodeFormat)) {
+    throw new Error(
+      `Unknown publishConfig.nodeFormat "${nodeFormat}" — expected one of dual, esm, cjs`,
+    )
+  }
+
+  // 'error': fail the build, 'esm': bundle the entries using top-level await as es module for Node.js
+  const topLevelAwait = manifest.publishConfig?.topLevelAwait || 'error'
+
+  if (!['error', 'esm'].includes(topLevelAwait)) {
+    throw new Error(
+      `Unknown publishConfig.topLevelAwait "${topLevelAwait}" — expected one of error, esm`,
+    )
+  }
+
+  // `"publishConfig": { "jsr": true }` — publish the deno bundles (or the sources) to jsr as well
+  const jsr = manifest.publishConfig?.jsr && {
+    file: 'jsr.json',
+    ...(manifest.publishConfig.jsr === true ? {} : manifest.publishConfig.jsr),
+  }
+
+  // deno loads the external dependencies from npm: lodash/fp -> npm:lodash@^4.17.21/fp
+  const npmSpecifier = (source) => {
+    const [, name, subpath = ''] = source.match(/^((?:@[^/]+\/)?[^/]+)(\/.*)?$/) || []
+
+    const range =
+      name === manifest.name
+        ? manifest.version
+        : manifest.dependencies[name] || manifest.peerDependencies[name]
+
+    // unresolved imports like node builtins are external as well
+    if (!range) return source
+
+    return `npm:${name}${semver.validRange(range) ? `@${range}` : ''}${subpath}`
+  }
+
+  // the import map of the external dependencies
+  const npmImports = () => {
+    const imports = {}
+
+    for (const name of Object.keys({ ...manifest.peerDependencies, ...manifest.dependencies })) {
+      if (bundledDependencies.includes(name)) continue
+
+      imports[name] = npmSpecifier(name)
+      imports[`${name}/`] = `${npmSpecifier(name)}/`
+    }
+
+    return imports
+  }
+
+  /**
+   * Add the plugins and option hooks from the config file to the rollup config of a target
+   */
+  function applyConfig(target, mode, { output, plugins, ...inputOptions }) {
+    const context = { target, mode }
+    const layers = [config, config.targets?.[target]].filter(Boolean)
+
+    // run before the css, asset and swc plugins to allow loaders for non-javascript files
+    const swcIndex = plugins.findIndex((plugin) =>
+      ['distilt-styles', 'distilt-assets', 'swc'].includes(plugin?.name),
+    )
+
+    plugins = [
+      ...plugins.slice(0, swcIndex),
+      ...layers.flatMap(
+        (layer) =>
+          (typeof layer.plugins === 'function' ? layer.plugins(context) : layer.plugins) || [],
+      ),
+      ...plugins.slice(swcIndex),
+    ]
+
+    inputOptions = { ...inputOptions, plugins }
+
+    for (const layer of layers) {
+      inputOptions = extendOptions(inputOptions, layer.input, context)
+      output = extendOptions(output, layer.output, context)
+    }
+
+    return { ...inputOptions, output }
+  }
+
   let needsDevelopmentBuild = false
 
-  function swc({ mode, format, ...options } = {}) {
+  // `--mode both` always adds development bundles; by default only if a source imports `distilt/env`
+  const withDevelopmentBuild = () =>
+    options.mode === 'both' || (options.mode === undefined && needsDevelopmentBuild)
+
+  // the css imported by each entry point by target, mode and entry name
+  const stylesheets = new Map()
+
+  // the stylesheet of an entry point is taken from the first of these targets that has one
+  const styleTargets = [
+    'browser',
+    'module',
+    'esnext',
+    'script',
+    'worker',
+    'deno',
+    'node',
+    'react-native',
+    'edge',
+    'bun',
+  ]
+
+  function styles({ target, mode }) {
+    const inject = target === 'script' && manifest.publishConfig?.injectStyle
+
+    // the assets plugin emits the files referenced with url()
+    let assets
+
+    return {
+      name: 'distilt-styles',
+      buildStart({ plugins }) {
+        assets = plugins.find((plugin) => plugin?.name === 'distilt-assets')?.api
+      },
+      transform(code, id) {
+        if (!/\.css$/.test(id)) return
+
+        const file = id.replace(/\?.*$/, '')
+        const isRemote = (url) => /^(?:[a-z][\w+.-]*:|\/|#)/i.test(url)
+
+        const imports = []
+        const files = []
+
+        // @import './other.css' — imported as module to include it before this stylesheet,
+        // with conditions like `@import './print.css' print` the file is emitted as asset
+        code = code.replace(
+          /@import\s+(?:url\(\s*(['"]?)([^'")]+)\1\s*\)|(['"])([^'"]+)\3)([^;]*);/g,
+          (match, urlQuote, url, quote, string, conditions) => {
+            const specifier = url || string
+            const source = path.resolve(path.dirname(file), specifier)
+
+            if (isRemote(specifier) || !isFileReadable(source)) return match
+
+            this.addWatchFile(source)
+
+            if (!conditions.trim()) {
+              imports.push(source)
+              return ''
+            }
+
+            files.push(source)
+            return `@import url(${JSON.stringify(assetPlaceholder(source))})${conditions};`
+          },
+        )
+
+        // url(./image.png) — the query and hash like in `./font.eot?#iefix` are kept
+        code = code.replace(/\burl\(\s*(['"]?)([^'")]+?)\1\s*\)/g, (match, quote, url) => {
+          const [, specifier, suffix] = url.match(/^([^?#]*)(.*)$/)
+          const source = path.resolve(path.dirname(file), specifier)
+
+          if (!specifier || isRemote(url) || !isFileReadable(source)) return match
+
+          this.addWatchFile(source)
+          files.push(source)
+
+          return `url(${quote}${assetPlaceholder(source)}${suffix}${quote})`
+        })
+
+        const css = mode === 'production' ? minifyCSS(code) : code
+
+        return {
+          code:
+            imports.map((source) => `import ${JSON.stringify(source)};\n`).join('') +
+            (inject
+              ? `if (typeof document != 'undefined') {
+                const style = document.createElement('style')
+                style.textContent = ${JSON.stringify(css).replace(
+                  /__distilt_asset_\w+__/g,
+                  // relative to the script — not to the document
+                  (key) => `" + new URL(${JSON.stringify(key)}, import.meta.url).href + "`,
+                )}
+                document.head.appendChild(style)
+              }`
+              : ''),
+          map: { mappings: '' },
+          moduleSideEffects: Boolean(inject),
+          // kept in the rollup cache
+          meta: { styles: { css }, assets: files },
+        }
+      },
+      generateBundle(outputOptions, bundle) {
+        for (const chunk of Object.values(bundle)) {
+          if (chunk.type !== 'chunk' || !chunk.isEntry) continue
+
+          // in the order the modules are executed
+          const visited = new Set()
+          const css = []
+
+          const visit = (id) => {
+            if (visited.has(id)) return
+
+            visited.add(id)
+
+            const info = this.getModuleInfo(id)
+
+            if (!info) return
+
+            info.importedIds.forEach(visit)
+            info.dynamicallyImportedIds.forEach(visit)
+
+            if (info.meta.styles) css.push(info.meta.styles.css)
+          }
+
+          visit(chunk.facadeModuleId)
+
+          if (css.length) {
+            const name = path.posix.normalize(chunk.name)
+
+            const separator = mode === 'production' ? '' : '\n'
+
+            // the remaining @import rules must come first
+            const rules = []
+            const content = css
+              .join(separator)
+              .replace(/@import\s[^;]+;\s*/g, (rule) => (rules.push(rule.trim()), ''))
+
+            stylesheets.set(`${target}:${mode}:${name}`, {
+              target,
+              mode,
+              name,
+              // the stylesheet is written next to the entry chunk
+              css: [...rules, content].join(separator).replace(/__distilt_asset_\w+__/g, (key) => {
+                if (!assets) return key
+
+                const relative = path.posix.relative(path.posix.dirname(name), assets.fileName(key))
+
+                return relative[0] === '.' ? relative : `./${relative}`
+              }),
+            })
+          }
+        }
+      },
+    }
+  }
+
+  // the url is relative to the importing chunk or stylesheet — replaced while rendering them
+  const assetPlaceholder = (file) => `__distilt_asset_${hash(file).slice(0, 16)}__`
+
+  // imported as url — other files are resolved as modules
+  const assetExtensions =
+    /\.(png|jpe?g|gif|svg|webp|avif|ico|bmp|woff2?|ttf|otf|eot|mp4|webm|ogg|mp3|wav|flac|aac|pdf)$/
+
+  // `import init from './lib.wasm'` — `await init(imports)` resolves to the instance
+  function wasmModule(target, file, url) {
+    const instantiate = (source) =>
+      `export default async function init(imports) {\n` +
+      `  const { instance } = await ${source}\n` +
+      `  return instance\n` +
+      `}\n`
+
+    if (target === 'node' || target === 'bun') {
+      return (
+        `import { readFile } from 'fs/promises'\n` +
+        instantiate(`WebAssembly.instantiate(await readFile(${url}), imports)`)
+      )
+    }
+
+    if (target === 'script' && manifest.publishConfig?.inlineWasm) {
+      return (
+        `const source = ${JSON.stringify(readFileSync(file).toString('base64'))}\n` +
+        instantiate(
+          `WebAssembly.instantiate(Uint8Array.from(atob(source), (c) => c.charCodeAt(0)), imports)`,
+        )
+      )
+    }
+
+    // instantiateStreaming requires the server to respond with application/wasm
+    return instantiate(
+      `fetch(${url}).then((response) =>\n` +
+        `    WebAssembly.instantiateStreaming && response.headers.get('content-type') === 'application/wasm'\n` +
+        `      ? WebAssembly.instantiateStreaming(response, imports)\n` +
+        `      : response.arrayBuffer().then((bytes) => WebAssembly.instantiate(bytes, imports)),\n` +
+        `  )`,
+    )
+  }
+
+  // Rollup can not represent top-level await in CommonJS, IIFE and UMD bundles — fail with the
+  // modules using it and their import chain instead of a generic error
+  function detectTopLevelAwait({ target, inputs, description, hint }) {
+    return {
+      name: 'top-level-await',
+      async renderStart() {
+        const entries = new Map()
+        for (const [outputFile, source] of inputs) {
+          const resolved = await this.resolve(source, undefined, { isEntry: true })
+          if (resolved) entries.set(resolved.id, outputFile)
+        }
+
+        // the shortest import chain from an entry to each module
+        const chains = new Map([...entries.keys()].map((id) => [id, [id]]))
+        for (const [id, chain] of chains) {
+          const { importedIds, dynamicallyImportedIds } = this.getModuleInfo(id)
+          for (const imported of [...importedIds, ...dynamicallyImportedIds]) {
+            if (!chains.has(imported)) chains.set(imported, [...chain, imported])
+          }
+        }
+
+        const modules = [...chains.keys()].filter((id) => {
+          const { code, ast } = this.getModuleInfo(id)
+          return code?.includes('await') && hasTopLevelAwait(ast)
+        })
+
+        if (!modules.length) return
+
+        // every entry that reaches one of the modules
+        const affected = new Set()
+        for (const [id, outputFile] of entries) {
+          const seen = new Set([id])
+          for (const current of seen) {
+            if (modules.includes(current)) affected.add(outputFile)
+            const { importedIds, dynamicallyImportedIds } = this.getModuleInfo(current)
+            for (const imported of [...importedIds, ...dynamicallyImportedIds]) {
+              seen.add(imported)
+            }
+          }
+        }
+
+        const relative = (id) => path.relative(paths.root, id)
+
+        const message =
+          `Top-level await can not be bundled ${description}:\n` +
+          modules
+            .map((id) => `  - ${relative(id)}\n      ${chains.get(id).map(relative).join(' -> ')}`)
+            .join('\n')
+
+        const error = new Error(`${message}\n${hint}`)
+
+        error.topLevelAwait = { target, entries: [...affected], message }
+
+        throw error
+      },
+    }
+  }
+
+  function assets({ target, mode, bundleWorker }) {
+    // by placeholder: the file and the reference of the emitted asset
+    let emitted = new Map()
+    let getFileName
+
+    // by placeholder: the output of the worker bundle
+    const workers = new Map()
+
+    return {
+      name: 'distilt-assets',
+      api: {
+        // the file name of an emitted asset — for the urls in the stylesheets
+        fileName: (key) => (emitted.has(key) ? getFileName(emitted.get(key)) : key),
+      },
+      async resolveId(source, importer, options) {
+        const [, query] = source.match(/(\?url|\?init)$/) || []
+
+        if (!query) return
+
+        const resolved = await this.resolve(source.slice(0, -query.length), importer, {
+          ...options,
+          skipSelf: true,
+        })
+
+        return resolved && !resolved.external ? `${resolved.id}${query}` : resolved
+      },
+      load(id) {
+        const file = id.replace(/\?(url|init)$/, '')
+        const url = `new URL(${JSON.stringify(assetPlaceholder(file))}, import.meta.url)`
+
+        if (/\.wasm(\?init)?$/.test(id)) {
+          this.addWatchFile(file)
+
+          const code = wasmModule(target, file, url)
+
+          return { code, meta: { assets: code.includes(url) ? [file] : [] } }
+        }
+
+        if (!id.endsWith('?url') && !assetExtensions.test(id)) return
+
+        this.addWatchFile(file)
+
+        return {
+          code: `export default ${url}.href`,
+          meta: { assets: [file] },
+        }
+      },
+      transform(code, id) {
+        const files = []
+        const sources = []
+
+        // new Worker(new URL('./worker.ts', import.meta.url)) — SharedWorker and worker_threads as well
+        const worker =
+          /(\bnew (?:Shared)?Worker\(\s*)new URL\(\s*(['"`])(\.{1,2}\/[^'"`$]+)\2\s*,\s*import\.meta\.url\s*\)/g
+
+        code = code.replace(worker, (match, constructor, quote, specifier) => {
+          const file = path.resolve(path.dirname(id.replace(/\?.*$/, '')), specifier)
+
+          if (!isFileReadable(file)) return match
+
+          sources.push(file)
+
+          return `${constructor}new URL(${JSON.stringify(
+            assetPlaceholder(`${file}?worker`),
+          )}, import.meta.url)`
+        })
+
+        // new URL('./file.ext', import.meta.url)
+        const pattern = /\bnew URL\(\s*(['"`])(\.{1,2}\/[^'"`$]+)\1\s*,\s*import\.meta\.url\s*\)/g
+
+        code = code.replace(pattern, (match, quote, specifier) => {
+          const file = path.resolve(path.dirname(id.replace(/\?.*$/, '')), specifier)
+
+          // may be resolved at runtime
+          if (!isFileReadable(file)) return match
+
+          this.addWatchFile(file)
+          files.push(file)
+
+          return `new URL(${JSON.stringify(assetPlaceholder(file))}, import.meta.url)`
+        })
+
+        // kept in the rollup cache to emit the assets of unchanged modules as well
+        if (files.length || sources.length) {
+          return { code, map: null, meta: { assets: files, workers: sources } }
+        }
+      },
+      async moduleParsed({ meta }) {
+        // runs for cached modules as well — the workers are bundled on every build
+        await Promise.all(
+          (meta.workers || []).map(async (file) => {
+            const key = assetPlaceholder(`${file}?worker`)
+
+            if (!workers.has(key)) {
+              workers.set(key, bundleWorker(target, mode, file))
+            }
+
+            const { watchFiles } = await workers.get(key)
+
+            watchFiles.forEach((file) => this.addWatchFile(file))
+          }),
+        )
+      },
+      buildStart() {
+        workers.clear()
+      },
+      async renderStart() {
+        emitted = new Map()
+        getFileName = (reference) => this.getFileName(reference)
+
+        const fileNames = new Set()
+
+        for (const [key, promise] of workers) {
+          const { files } = await promise
+
+          // files outside of `_/` — like the import map — belong to the package
+          for (const file of files.filter(({ fileName }) => fileName.startsWith('_/'))) {
+            if (file.type === 'chunk' && file.isEntry) {
+              emitted.set(
+                key,
+                this.emitFile({ type: 'asset', fileName: file.fileName, source: file.code }),
+              )
+            } else if (!fileNames.has(file.fileName)) {
+              this.emitFile({
+                type: 'asset',
+                fileName: file.fileName,
+                source: file.type === 'chunk' ? file.code : file.source,
+              })
+            }
+
+            fileNames.add(file.fileName)
+          }
+        }
+
+        for (const id of this.getModuleIds()) {
+          for (const file of this.getModuleInfo(id).meta.assets || []) {
+            const key = assetPlaceholder(file)
+
+            if (!emitted.has(key)) {
+              emitted.set(
+                key,
+                this.emitFile({
+                  type: 'asset',
+                  name: path.basename(file),
+                  source: readFileSync(file),
+                }),
+              )
+            }
+          }
+        }
+      },
+      renderChunk(code, chunk, options, { chunks }) {
+        if (!code.includes('__distilt_asset_')) return
+
+        // in commonjs import.meta.url is shimmed relative to the chunk containing the shim
+        const base =
+          (options.format === 'cjs' &&
+            Object.values(chunks).find((chunk) => chunk.moduleIds.includes(nodeShim))) ||
+          chunk
+
+        return {
+          code: code.replace(/__distilt_asset_\w+__/g, (key) => {
+            if (!emitted.has(key)) return key
+
+            const relative = path.posix.relative(
+              path.posix.dirname(base.fileName),
+              this.getFileName(emitted.get(key)),
+            )
+
+            return relative[0] === '.' ? relative : `./${relative}`
+          }),
+          map: null,
+        }
+      },
+    }
+  }
+
+  // typescript and jsx are stripped once per file and shared by all targets and modes
+  const strippedSources = new Map()
+
+  function stripTypes(code, filename, options) {
+    // the targets list the same options in a different order
+    const key = hash(serialize({ code, options }, { sortKeys: true }))
+    const cached = strippedSources.get(filename)
+
+    if (cached?.key === key) return cached.result
+
+    const result = transform(code, { ...options, filename })
+
+    strippedSources.set(filename, { key, result })
+
+    // do not keep a failed transform around
+    result.catch(() => strippedSources.delete(filename))
+
+    return result
+  }
+
+  // node-resolve with its options exposed — they are part of the module graph key
+  function resolveModules(options) {
+    const plugin = nodeResolve(options)
+
+    return { ...plugin, api: { ...plugin.api, options } }
+  }
+
+  function swc({ target, mode, format, ...options } = {}) {
+    // extend with the options from the config file: global first, then per target
+    for (const layer of [config, config.targets?.[target]]) {
+      options = extendOptions(options, layer?.swc, { target, mode })
+    }
+
     // https://github.com/swc-project/swc/blob/main/crates/swc_ecma_minifier/src/option/terser.rs#L429
     const ecma = Math.min(2020, Number((options.jsc.target || 'es2015').slice(2)))
 
+    // the same for the production and development build and for all targets with equal options
+    const cacheKey = serialize({ format, options, config: config.targets?.[target] })
+
+    // only the syntax target independent part of the options — the same for all targets to strip
+    // each file once, the downleveling options are applied per target (see below)
+    const { target: _, ...jsc } = options.jsc
+    const { constModules, optimizer, ...transformOptions } = jsc.transform || {}
+
+    const stripOptions = {
+      ...options,
+      env: undefined,
+      // https://swc.rs/docs/configuration/modules
+      module: {
+        type: 'es6',
+        strictMode: false,
+        ignoreDynamic: true,
+        ...options.module,
+      },
+      jsc: {
+        ...jsc,
+
+        loose: false,
+        externalHelpers: true,
+        keepClassNames: true,
+
+        // https://swc.rs/docs/configuration/compilation#jscparser
+        parser: {
+          syntax: 'typescript',
+          ...jsc.parser,
+        },
+
+        // https://swc.rs/docs/configuration/compilation#jsctransform
+        transform: {
+          ...transformOptions,
+
+          react: {
+            // https://reactjs.org/blog/2020/09/22/introducing-the-new-jsx-transform.html
+            runtime: 'automatic',
+            // Use Object.assign() instead of _extends
+            useBuiltins: true,
+            ...transformOptions.react,
+          },
+        },
+
+        experimental: {
+          keepImportAssertions: true,
+          ...jsc.experimental,
+        },
+
+        // the latest syntax supported by swc — downleveling happens per target
+        target: 'es2022',
+        preserveAllComments: true,
+        minify: undefined,
+      },
+
+      sourceMaps: true,
+      minify: false,
+    }
+
     return {
       name: 'swc',
+      api: { cacheKey, stripKey: serialize(stripOptions, { sortKeys: true }) },
+      // the rollup cache is re-used by other targets with the same key and by the development build
+      shouldTransformCachedModule({ meta, resolvedSources }) {
+        return (
+          meta.swc?.cacheKey !== cacheKey ||
+          // distilt/env and process.env.NODE_ENV are replaced depending on the mode
+          meta.swc.dependsOnMode ||
+          // stylesheets are minified depending on the mode
+          meta.styles ||
+          // bundled dependencies and package imports may be resolved with the mode as condition
+          Object.entries(resolvedSources).some(
+            ([source, resolved]) =>
+              resolved &&
+              !resolved.external &&
+              (source[0] === '#' || /[\\/]node_modules[\\/]/.test(resolved.id)),
+          )
+        )
+      },
       resolveId(source) {
         if (source === '@swc/helpers' || source.startsWith('@swc/helpers/')) {
           if (format === 'iife') {
@@ -204,7 +934,14 @@ async function main() {
           needsDevelopmentBuild = /from\s+(["'])distilt\/env\1/.test(code)
         }
 
-        return transform(code, {
+        const meta = {
+          swc: { cacheKey, dependsOnMode: /distilt\/env|process\.env\.NODE_ENV/.test(code) },
+        }
+
+        const stripped = await stripTypes(code, filename, stripOptions)
+
+        // only the downleveling and the replacements for this target and mode
+        const result = await transform(stripped.code, {
           ...options,
           envName: mode,
           // https://swc.rs/docs/configuration/modules
@@ -225,9 +962,9 @@ async function main() {
 
             // https://swc.rs/docs/configuration/compilation#jscparser
             parser: {
-              // TODO based on input files: typescript or ecmascript
-              syntax: 'typescript',
-              ...options.jsc.parser,
+              syntax: 'ecmascript',
+              decorators: options.jsc.parser?.decorators,
+              importAssertions: true,
             },
 
             // https://swc.rs/docs/configuration/compilation#jsctransform
@@ -249,13 +986,10 @@ async function main() {
                 },
               },
 
-              react: {
-                // https://reactjs.org/blog/2020/09/22/introducing-the-new-jsx-transform.html
-                runtime: 'automatic',
-                // Use Object.assign() instead of _extends
-                useBuiltins: true,
-                ...options.jsc.transform?.react,
-              },
+              // already applied while stripping the types
+              react: undefined,
+              legacyDecorator: undefined,
+              decoratorMetadata: undefined,
             },
 
             experimental: {
@@ -268,9 +1002,12 @@ async function main() {
           },
 
           sourceMaps: true,
+          inputSourceMap: stripped.map,
           minify: false,
           filename,
         })
+
+        return { ...result, meta }
       },
       renderChunk(code, chunk) {
         if (options.minify) {
@@ -367,6 +1104,9 @@ async function main() {
   // 'commonjs' or 'module'
   const type = manifest.type || 'module'
   const cjsExt = type === 'commonjs' ? '.js' : '.cjs'
+  // entries keep .mjs as [name].js is the module bundle
+  const nodeExt = nodeFormat === 'esm' ? '.mjs' : cjsExt
+  const esmChunkExt = type === 'module' ? '.js' : '.mjs'
 
   const publishManifest = {
     ...manifest,
@@ -403,6 +1143,15 @@ async function main() {
       directory: undefined,
       // Remove distilt options
       targets: undefined,
+      budgets: undefined,
+      injectStyle: undefined,
+      inlineWasm: undefined,
+      globals: undefined,
+      umd: undefined,
+      nodeFormat: undefined,
+      topLevelAwait: undefined,
+      importMap: undefined,
+      jsr: undefined,
     },
 
     // These are not needed any more
@@ -440,26 +1189,45 @@ async function main() {
     _id: undefined,
   }
 
-  console.log(`Bundling ${manifest.name}@${manifest.version}`)
-  console.time(`Bundled ${manifest.name}@${manifest.version}`)
+  logger.log(`Bundling ${manifest.name}@${manifest.version}`)
+  time(`Bundled ${manifest.name}@${manifest.version}`)
+
+  const sizesFile = path.resolve(paths.dist, '.distilt/sizes.json')
+
+  // read before the output directory is cleaned
+  const previousSizes = await fs.readFile(sizesFile, 'utf8').then(JSON.parse, () => undefined)
 
   await prepare()
 
-  const typesDirectoryPromise = paths.tsconfig && generateTypescriptDeclarations()
+  // functions to call when leaving watch mode
+  const teardown = []
 
-  try {
-    await Promise.all([copyFiles(), generateMultiBundles()])
-  } finally {
-    const typesDirectory = await typesDirectoryPromise
-    typesDirectory && (fs.rm || fs.rmdir)(typesDirectory, { force: true, recursive: true })
+  const declarationsPromise = withTypes && generateTypescriptDeclarations()
+
+  await Promise.all([copyFiles(), generateMultiBundles(), declarationsPromise])
+
+  if (options.verify && !options.watch) {
+    await verifyExports()
   }
 
-  console.timeEnd(`Bundled ${manifest.name}@${manifest.version}`)
+  await lintManifest()
 
-  if (packageManifest['size-limit']) {
-    const { default: run } = await import('size-limit/run.js')
+  const sizes = options.sizes && !options.watch ? await reportSizes() : undefined
 
-    await run(process)
+  timeEnd(`Bundled ${manifest.name}@${manifest.version}`)
+
+  return {
+    name: manifest.name,
+    version: manifest.version,
+    root: paths.root,
+    dist: paths.dist,
+    manifest: JSON.parse(JSON.stringify(publishManifest, omitComments)),
+    files,
+    sizes,
+    timings,
+    warnings,
+    // teardown functions are invoked synchronously as execa may re-send the signal right after
+    close: () => Promise.all(teardown.map((fn) => fn())),
   }
 
   async function prepare() {
@@ -471,7 +1239,7 @@ async function main() {
   }
 
   async function copyFiles() {
-    console.time('Copied files to ' + path.relative(process.cwd(), paths.dist))
+    time('Copied files to ' + path.relative(paths.current, paths.dist))
 
     /**
      * Copy readme, license, changelog to dist
@@ -498,7 +1266,7 @@ async function main() {
       }),
     )
 
-    console.timeEnd('Copied files to ' + path.relative(process.cwd(), paths.dist))
+    timeEnd('Copied files to ' + path.relative(paths.current, paths.dist))
   }
 
   async function generateMultiBundles() {
@@ -523,20 +1291,66 @@ async function main() {
           return
         }
 
-        const outputFile = entryPoint === '.' ? './' + manifest.name.split('/').pop() : entryPoint
+        // Input files are relative to the package root
+        conditions = Object.fromEntries(
+          Object.entries(conditions).map(([condition, inputFile]) => [
+            condition,
+            inputFile && path.resolve(paths.root, inputFile),
+          ]),
+        )
+
+        const outputFile = entryPoint === '.' ? './' + manifest.name.split('/').pop() : entryPoint
 
         if (entryPoint === '.') {
           mainEntryPoint = outputFile.slice(2)
         }
 
+        const declarations = withTypes && declarationFiles(outputFile, conditions)
+
+        // platforms with a different source get their own declarations
+        const withPlatformTypes = (platform, file) =>
+          file && withTypes && declarations.platforms[platform]
+            ? { types: declarations.platforms[platform], default: file }
+            : file
+
+        // vercel edge-light and cloudflare workerd
+        const edge =
+          targets.edge && conditions['edge-light'] !== null
+            ? (conditions['edge-light'] ||
+                conditions.workerd ||
+                conditions.worker ||
+                conditions.browser ||
+                conditions.default) &&
+              withPlatformTypes('edge', `${outputFile}.edge.js`)
+            : undefined
+
         // Define package loading
         // https://gist.github.com/sokra/e032a0f17c1721c71cfced6f14516c62
         publishManifest.exports[entryPoint] = {
           // typescript
-          types: paths.tsconfig ? `${outputFile}.d.ts` : undefined,
+          types: withTypes ? `${outputFile}.d.ts` : undefined,
 
           development: undefined,
 
+          // the extracted stylesheet — added once the bundles are generated
+          style: undefined,
+
+          // runtimes that match generic conditions as well
+          bun:
+            targets.bun && conditions.bun !== null
+              ? (conditions.bun || conditions.node || conditions.default) &&
+                withPlatformTypes('bun', `${outputFile}.bun.js`)
+              : undefined,
+
+          'edge-light': edge,
+          workerd: edge,
+
+          'react-native':
+            targets['react-native'] && conditions['react-native'] !== null
+              ? (conditions['react-native'] || conditions.browser || conditions.default) &&
+                withPlatformTypes('react-native', `${outputFile}.react-native.js`)
+              : undefined,
+
           // used by bundlers — compatible with current Spec and stage 4 proposals
           esnext:
             targets.esnext && conditions.esnext !== null ? `${outputFile}.esnext.js` : undefined,
@@ -545,7 +1359,7 @@ async function main() {
           deno:
             targets.deno && conditions.deno !== null
               ? (conditions.deno || conditions.browser || conditions.default) &&
-                `${outputFile}.deno.js`
+                withPlatformTypes('deno', `${outputFile}.deno.js`)
               : undefined,
 
           // used by bundlers
@@ -557,13 +1371,14 @@ async function main() {
           worker:
             targets.worker && conditions.worker !== null
               ? (conditions.worker || conditions.browser || conditions.default) &&
-                `${outputFile}.worker.js`
+                withPlatformTypes('worker', `${outputFile}.worker.js`)
               : undefined,
 
           // used by some bundlers and jspm.dev
           browser:
             targets.browser && conditions.browser !== null
-              ? (conditions.browser || conditions.default) && `${outputFile}.browser.js`
+              ? (conditions.browser || conditions.default) &&
+                withPlatformTypes('browser', `${outputFile}.browser.js`)
               : undefined,
 
           // for direct script usage
@@ -573,25 +1388,61 @@ async function main() {
                 `${outputFile}.global.js`
               : undefined,
 
+          // for AMD loaders and CDNs
+          umd:
+            targets.script && conditions.script !== null && scriptFormats.includes('umd')
+              ? (conditions.script || conditions.browser || conditions.default) &&
+                `${outputFile}.umd.js`
+              : undefined,
+
           // Node.js
           node:
             targets.node && conditions.node !== null
-              ? (conditions.node || conditions.default) && {
-                  // nodejs esm wrapper
-                  import: `${outputFile}.mjs`,
-                  require: `${outputFile}${cjsExt}`,
-                }
+              ? (conditions.node || conditions.default) &&
+                (nodeFormat === 'dual'
+                  ? {
+                      // nodejs esm wrapper
+                      import: withTypes
+                        ? { types: `${outputFile}.d.mts`, default: `${outputFile}.mjs` }
+                        : `${outputFile}.mjs`,
+                      require: withTypes
+                        ? { types: `${outputFile}.d.cts`, default: `${outputFile}${cjsExt}` }
+                        : `${outputFile}${cjsExt}`,
+                    }
+                  : withTypes
+                  ? {
+                      types: `${outputFile}.d.${nodeFormat === 'esm' ? 'mts' : 'cts'}`,
+                      default: `${outputFile}${nodeExt}`,
+                    }
+                  : `${outputFile}${nodeExt}`)
               : undefined,
 
           default: undefined,
         }
 
+        if (publishManifest.exports[entryPoint].node && withTypes) {
+          // typescript uses the first matching condition — move the generic declarations behind
+          // node to let it find the ones for the node import and require conditions
+          const {
+            types,
+            default: defaultExport,
+            ...otherConditions
+          } = publishManifest.exports[entryPoint]
+
+          publishManifest.exports[entryPoint] = {
+            ...otherConditions,
+            types,
+            default: defaultExport,
+          }
+        }
+
         if (!publishManifest.exports[entryPoint].default) {
           publishManifest.exports[entryPoint].default =
             publishManifest.exports[entryPoint].module ||
-            (type === 'commonjs'
-              ? publishManifest.exports[entryPoint].node?.require
-              : publishManifest.exports[entryPoint].node?.import) ||
+            resolveExportsTarget(publishManifest.exports[entryPoint].node, [
+              'node',
+              type === 'commonjs' ? 'require' : 'import',
+            ]) ||
             publishManifest.exports[entryPoint].esnext ||
             publishManifest.exports[entryPoint].script
         }
@@ -600,6 +1451,7 @@ async function main() {
           entryPoint,
           outputFile: outputFile.slice(2),
           conditions,
+          declarations,
         }
       })
       .filter(Boolean)
@@ -607,12 +1459,14 @@ async function main() {
     if (publishManifest.exports['.']) {
       Object.assign(publishManifest, {
         // Used by node
-        main: publishManifest.exports['.'].node?.require || publishManifest.exports['.'].module,
+        main:
+          resolveExportsTarget(publishManifest.exports['.'].node, ['node', 'require']) ||
+          publishManifest.exports['.'].module,
         // Used by bundlers like rollup and CDNs
         module: publishManifest.exports['.'].module,
         // Support common CDNs
-        unpkg: publishManifest.exports['.'].script,
-        jsdelivr: publishManifest.exports['.'].script,
+        unpkg: publishManifest.exports['.'].umd || publishManifest.exports['.'].script,
+        jsdelivr: publishManifest.exports['.'].umd || publishManifest.exports['.'].script,
         // Typescript
         types: publishManifest.exports['.'].types,
       })
@@ -621,15 +1475,62 @@ async function main() {
     const manifestPath = path.resolve(paths.dist, 'package.json')
     await fs.mkdir(path.dirname(manifestPath), { recursive: true })
 
-    const generatedBundles = async (mode = 'production') => {
-      const suffix = mode === 'development' ? '.dev' : ''
+    // exports of the Node.js cjs entry chunks to generate matching declarations
+    const nodeExports = new Map()
+
+    // entries bundled as es module for Node.js because they use top-level await
+    const esmNodeEntries = new Set()
+
+    const writeNodeTypes = async ({ outputFile, declarations }) => {
+      // the source map belongs to the node declarations — not to these copies
+      const code = (await fs.readFile(path.resolve(paths.dist, declarations.node), 'utf8')).replace(
+        /^\/\/# sourceMappingURL=.*\s*$/m,
+        '',
+      )
+
+      // a lone default export is assigned to module.exports (`exports: 'auto'`)
+      const exports = nodeExports.get(outputFile)
+      const cjsCode =
+        exports?.length === 1 && exports[0] === 'default'
+          ? code.replace(/^export (?:\{ (\S+) as default \}|default (\S+));$/m, 'export = $1$2;')
+          : code
+
+      const esm = nodeFormat === 'esm' || esmNodeEntries.has(outputFile)
+
+      const nodeDeclarations = [
+        (nodeFormat !== 'cjs' || esm) && [`${outputFile}.d.mts`, code],
+        !esm && [`${outputFile}.d.cts`, cjsCode],
+      ].filter(Boolean)
 
       await Promise.all(
+        nodeDeclarations.map(([fileName, content]) =>
+          fs.writeFile(path.resolve(paths.dist, fileName), content),
+        ),
+      )
+
+      addFiles(
+        'types',
+        nodeDeclarations.map(([fileName]) => fileName),
+      )
+    }
+
+    const writeManifest = async () => {
+      publishManifest.dependencies = Object.keys(manifest.dependencies).length
+        ? manifest.dependencies
+        : undefined
+
+      await fs.writeFile(manifestPath, JSON.stringify(publishManifest, omitComments, 2))
+    }
+
+    const bundleTasks = async (mode = primaryMode, entries = entryPoints) => {
+      const suffix = mode === primaryMode ? '' : '.dev'
+
+      const tasks = await Promise.all(
         [
           async () => {
             if (!targets.esnext) return
 
-            const inputs = entryPoints
+            const inputs = entries
               .filter(({ conditions }) => conditions.esnext !== null)
               .map(({ outputFile, conditions }) => [
                 outputFile,
@@ -639,92 +1540,93 @@ async function main() {
 
             if (!inputs.length) return
 
-            console.time(`Generated esnext bundles (${targets.esnext}) [${mode}]`)
-
-            const bundle = await rollup({
-              input: Object.fromEntries(inputs),
-              external: (source) =>
-                external.includes(source) ||
-                external.some((external) => source.startsWith(external + '/')),
-              preserveEntrySignatures: 'strict',
-              treeshake: {
-                propertyReadSideEffects: false,
-              },
-              onwarn(warning, warn) {
-                if (
-                  warning.code === 'CIRCULAR_DEPENDENCY' ||
-                  (warning.code === 'UNRESOLVED_IMPORT' && warning.source?.startsWith('node:'))
-                ) {
-                  return
-                }
+            return {
+              name: 'esnext',
+              label: `Generated esnext bundles (${targets.esnext}) [${mode}]`,
+              configs: [
+                {
+                  input: Object.fromEntries(inputs),
+                  external: (source) =>
+                    external.includes(source) ||
+                    external.some((external) => source.startsWith(external + '/')),
+                  preserveEntrySignatures: 'strict',
+                  treeshake: {
+                    propertyReadSideEffects: false,
+                  },
+                  onwarn(warning) {
+                    if (
+                      warning.code === 'CIRCULAR_DEPENDENCY' ||
+                      (warning.code === 'UNRESOLVED_IMPORT' && warning.source?.startsWith('node:'))
+                    ) {
+                      return
+                    }
 
-                // Use default for everything else
-                warn(warning)
-              },
-              plugins: [
-                tsPaths({ tsConfigPath: paths.tsconfig }),
-                commonjs({
-                  extensions: ['.cjs', '.js'],
-                }),
-                nodeResolve({
-                  extensions: resolveExtensions,
-                  mainFields: [
-                    'esnext',
-                    'esmodules',
-                    'modern',
-                    'es2015',
-                    'module',
-                    'jsnext:main',
-                    'main',
-                  ],
-                  exportConditions: [
-                    mode,
-                    'esnext',
-                    'modern',
-                    'esmodules',
-                    'es2015',
-                    'module',
-                    'import',
-                    'require',
-                    'default',
+                    // Collect everything else
+                    addWarning(warning)
+                  },
+                  plugins: [
+                    tsPaths({ tsConfigPath: paths.tsconfig }),
+                    commonjs({
+                      extensions: ['.cjs', '.js'],
+                    }),
+                    resolveModules({
+                      extensions: resolveExtensions,
+                      mainFields: [
+                        'esnext',
+                        'esmodules',
+                        'modern',
+                        'es2015',
+                        'module',
+                        'jsnext:main',
+                        'main',
+                      ],
+                      exportConditions: [
+                        mode,
+                        'esnext',
+                        'modern',
+                        'esmodules',
+                        'es2015',
+                        'module',
+                        'import',
+                        'require',
+                        'default',
+                      ],
+                    }),
+                    styles({ target: 'esnext', mode }),
+                    assets({ target: 'esnext', mode, bundleWorker }),
+                    json({ preferConst: true }),
+                    swc({ target: 'esnext', mode, format: 'es', jsc: { target: targets.esnext } }),
+                    dynamicImportVars({ warnOnError: true }),
                   ],
-                }),
-                json({ preferConst: true }),
-                swc({ mode, format: 'es', jsc: { target: targets.esnext } }),
-                dynamicImportVars({ warnOnError: true }),
+                  output: {
+                    format: 'es',
+                    dir: paths.dist,
+                    entryFileNames: `[name].esnext${suffix}.js`,
+                    chunkFileNames: `_/[name]-[hash].js`,
+                    assetFileNames: '_/assets/[name]-[hash][extname]',
+                    generatedCode: {
+                      preset: 'es2015',
+                      arrowFunctions: true,
+                      constBindings: true,
+                      objectShorthand: true,
+                      // prevent: [Symbol.toStringTag]: { value: 'Module' }
+                      symbols: false,
+                    },
+                    hoistTransitiveImports: false,
+                    interop: 'auto',
+                    minifyInternalExports: false,
+                    sourcemap: true,
+                    freeze: false,
+                    esModule: false,
+                  },
+                },
               ],
-            })
-
-            await bundle.write({
-              format: 'es',
-              dir: paths.dist,
-              entryFileNames: `[name].esnext${suffix}.js`,
-              chunkFileNames: `_/[name]-[hash].js`,
-              assetFileNames: '_/assets/[name]-[hash][extname]',
-              generatedCode: {
-                preset: 'es2015',
-                arrowFunctions: true,
-                constBindings: true,
-                objectShorthand: true,
-                // prevent: [Symbol.toStringTag]: { value: 'Module' }
-                symbols: false,
-              },
-              hoistTransitiveImports: false,
-              interop: 'auto',
-              minifyInternalExports: false,
-              sourcemap: true,
-              freeze: false,
-              esModule: false,
-            })
-
-            await bundle.close()
-
-            console.timeEnd(`Generated esnext bundles (${targets.esnext}) [${mode}]`)
+            }
           },
           async () => {
             if (!targets.module) return
 
-            const inputs = entryPoints
+            const inputs = entries
               .map(({ outputFile, conditions }) => [
                 outputFile,
                 conditions.default || conditions.browser || conditions.node,
@@ -733,92 +1635,93 @@ async function main() {
 
             if (!inputs.length) return
 
-            console.time(`Generated module bundles (${targets.module}) [${mode}]`)
-
-            const bundle = await rollup({
-              input: Object.fromEntries(inputs),
-              external: (source) =>
-                external.includes(source) ||
-                external.some((external) => source.startsWith(external + '/')),
-              preserveEntrySignatures: 'strict',
-              treeshake: {
-                propertyReadSideEffects: false,
-              },
-              onwarn(warning, warn) {
-                if (
-                  warning.code === 'CIRCULAR_DEPENDENCY' ||
-                  (warning.code === 'UNRESOLVED_IMPORT' && warning.source?.startsWith('node:'))
-                ) {
-                  return
-                }
+            return {
+              name: 'module',
+              label: `Generated module bundles (${targets.module}) [${mode}]`,
+              configs: [
+                {
+                  input: Object.fromEntries(inputs),
+                  external: (source) =>
+                    external.includes(source) ||
+                    external.some((external) => source.startsWith(external + '/')),
+                  preserveEntrySignatures: 'strict',
+                  treeshake: {
+                    propertyReadSideEffects: false,
+                  },
+                  onwarn(warning) {
+                    if (
+                      warning.code === 'CIRCULAR_DEPENDENCY' ||
+                      (warning.code === 'UNRESOLVED_IMPORT' && warning.source?.startsWith('node:'))
+                    ) {
+                      return
+                    }
 
-                // Use default for everything else
-                warn(warning)
-              },
-              plugins: [
-                tsPaths({ tsConfigPath: paths.tsconfig }),
-                commonjs({
-                  extensions: ['.cjs', '.js'],
-                }),
-                nodeResolve({
-                  extensions: resolveExtensions,
-                  mainFields: [
-                    'esnext',
-                    'esmodules',
-                    'modern',
-                    'es2015',
-                    'module',
-                    'jsnext:main',
-                    'main',
-                  ],
-                  exportConditions: [
-                    mode,
-                    'esnext',
-                    'modern',
-                    'esmodules',
-                    'es2015',
-                    'module',
-                    'import',
-                    'require',
-                    'default',
+                    // Collect everything else
+                    addWarning(warning)
+                  },
+                  plugins: [
+                    tsPaths({ tsConfigPath: paths.tsconfig }),
+                    commonjs({
+                      extensions: ['.cjs', '.js'],
+                    }),
+                    resolveModules({
+                      extensions: resolveExtensions,
+                      mainFields: [
+                        'esnext',
+                        'esmodules',
+                        'modern',
+                        'es2015',
+                        'module',
+                        'jsnext:main',
+                        'main',
+                      ],
+                      exportConditions: [
+                        mode,
+                        'esnext',
+                        'modern',
+                        'esmodules',
+                        'es2015',
+                        'module',
+                        'import',
+                        'require',
+                        'default',
+                      ],
+                    }),
+                    styles({ target: 'module', mode }),
+                    assets({ target: 'module', mode, bundleWorker }),
+                    json({ preferConst: true }),
+                    swc({ target: 'module', mode, format: 'es', jsc: { target: targets.module } }),
+                    dynamicImportVars({ warnOnError: true }),
                   ],
-                }),
-                json({ preferConst: true }),
-                swc({ mode, format: 'es', jsc: { target: targets.module } }),
-                dynamicImportVars({ warnOnError: true }),
+                  output: {
+                    format: 'es',
+                    dir: paths.dist,
+                    entryFileNames: `[name]${type === 'commonjs' ? '.esm' : ''}${suffix}.js`,
+                    chunkFileNames: `_/[name]-[hash].js`,
+                    assetFileNames: '_/assets/[name]-[hash][extname]',
+                    generatedCode: {
+                      preset: 'es2015',
+                      arrowFunctions: true,
+                      constBindings: true,
+                      objectShorthand: true,
+                      // prevent: [Symbol.toStringTag]: { value: 'Module' }
+                      symbols: false,
+                    },
+                    hoistTransitiveImports: false,
+                    interop: 'auto',
+                    minifyInternalExports: false,
+                    sourcemap: true,
+                    freeze: false,
+                    esModule: false,
+                  },
+                },
               ],
-            })
-
-            await bundle.write({
-              format: 'es',
-              dir: paths.dist,
-              entryFileNames: `[name]${type === 'commonjs' ? '.esm' : ''}${suffix}.js`,
-              chunkFileNames: `_/[name]-[hash].js`,
-              assetFileNames: '_/assets/[name]-[hash][extname]',
-              generatedCode: {
-                preset: 'es2015',
-                arrowFunctions: true,
-                constBindings: true,
-                objectShorthand: true,
-                // prevent: [Symbol.toStringTag]: { value: 'Module' }
-                symbols: false,
-              },
-              hoistTransitiveImports: false,
-              interop: 'auto',
-              minifyInternalExports: false,
-              sourcemap: true,
-              freeze: false,
-              esModule: false,
-            })
-
-            await bundle.close()
-
-            console.timeEnd(`Generated module bundles (${targets.module}) [${mode}]`)
+            }
           },
           async () => {
             if (!targets.node) return
 
-            const inputs = entryPoints
+            const inputs = entries
               .filter(({ conditions }) => conditions.node !== null)
               .map(({ outputFile, conditions }) => [
                 outputFile,
@@ -828,170 +1731,226 @@ async function main() {
 
             if (!inputs.length) return
 
-            console.time(`Generated Node.js cjs bundles (${targets.node}) [${mode}]`)
-
-            const bundle = await rollup({
-              input: Object.fromEntries(inputs),
-              external: (source) =>
-                external.includes(source) ||
-                external.some((external) => source.startsWith(external + '/')),
-              preserveEntrySignatures: 'strict',
-              treeshake: {
-                propertyReadSideEffects: false,
-              },
-              onwarn(warning, warn) {
-                if (
-                  warning.code === 'CIRCULAR_DEPENDENCY' ||
-                  (warning.code === 'UNRESOLVED_IMPORT' && warning.source?.startsWith('node:'))
-                ) {
-                  return
-                }
+            return {
+              name: 'node',
+              label: `Generated Node.js ${
+                nodeFormat === 'esm' ? 'esm' : esmNodeEntries.size ? 'cjs and esm' : 'cjs'
+              } bundles (${targets.node}) [${mode}]`,
+              // entries using top-level await fall back to a native es module
+              configs: [
+                [
+                  'cjs',
+                  inputs.filter(
+                    ([outputFile]) => nodeFormat !== 'esm' && !esmNodeEntries.has(outputFile),
+                  ),
+                ],
+                [
+                  'es',
+                  inputs.filter(
+                    ([outputFile]) => nodeFormat === 'esm' || esmNodeEntries.has(outputFile),
+                  ),
+                ],
+              ]
+                .filter(([_, inputs]) => inputs.length)
+                .map(([format, inputs]) => ({
+                  input: Object.fromEntries(inputs),
+                  external: (source) =>
+                    external.includes(source) ||
+                    external.some((external) => source.startsWith(external + '/')),
+                  preserveEntrySignatures: 'strict',
+                  treeshake: {
+                    propertyReadSideEffects: false,
+                  },
+                  onwarn(warning) {
+                    if (
+                      warning.code === 'CIRCULAR_DEPENDENCY' ||
+                      (warning.code === 'UNRESOLVED_IMPORT' && warning.source?.startsWith('node:'))
+                    ) {
+                      return
+                    }
 
-                // Use default for everything else
-                warn(warning)
-              },
-              plugins: [
-                tsPaths({ tsConfigPath: paths.tsconfig }),
-                commonjs({
-                  extensions: ['.cjs', '.js'],
-                }),
-                nodeResolve({
-                  extensions: [...resolveExtensions, '.node'],
-                  mainFields: [
-                    'esnext',
-                    'esmodules',
-                    'modern',
-                    'es2015',
-                    'module',
-                    'jsnext:main',
-                    'main',
-                  ],
-                  exportConditions: [
-                    'node',
-                    mode,
-                    'esnext',
-                    'modern',
-                    'esmodules',
-                    'es2015',
-                    'module',
-                    'import',
-                    'require',
-                    'default',
-                  ],
-                }),
-                json({ preferConst: true }),
-                swc({
-                  mode,
-                  format: 'cjs',
-                  jsc: {
-                    target: targets.node,
-                    // https://swc.rs/docs/configuration/compilation#jsctransform
-                    transform: {
-                      // https://swc.rs/docs/configuration/compilation#jsctransformoptimizer
-                      optimizer: {
-                        globals: {
-                          // If you set { "window": "object" }, typeof window will be replaced with "object".
-                          typeofs: {
-                            self: 'undefined',
-                            window: 'undefined',
-                            document: 'undefined',
-                            process: 'object',
+                    // Collect everything else
+                    addWarning(warning)
+                  },
+                  plugins: [
+                    tsPaths({ tsConfigPath: paths.tsconfig }),
+                    commonjs({
+                      extensions: ['.cjs', '.js'],
+                    }),
+                    resolveModules({
+                      extensions: [...resolveExtensions, '.node'],
+                      mainFields: [
+                        'esnext',
+                        'esmodules',
+                        'modern',
+                        'es2015',
+                        'module',
+                        'jsnext:main',
+                        'main',
+                      ],
+                      exportConditions: [
+                        'node',
+                        mode,
+                        'esnext',
+                        'modern',
+                        'esmodules',
+                        'es2015',
+                        'module',
+                        'import',
+                        'require',
+                        'default',
+                      ],
+                    }),
+                    styles({ target: 'node', mode }),
+                    assets({ target: 'node', mode, bundleWorker }),
+                    json({ preferConst: true }),
+                    swc({
+                      target: 'node',
+                      mode,
+                      format,
+                      jsc: {
+                        target: targets.node,
+                        // https://swc.rs/docs/configuration/compilation#jsctransform
+                        transform: {
+                          // https://swc.rs/docs/configuration/compilation#jsctransformoptimizer
+                          optimizer: {
+                            globals: {
+                              // If you set { "window": "object" }, typeof window will be replaced with "object".
+                              typeofs: {
+                                self: 'undefined',
+                                window: 'undefined',
+                                document: 'undefined',
+                                process: 'object',
+                              },
+                            },
                           },
                         },
                       },
+                    }),
+                    dynamicImportVars({ warnOnError: true }),
+                    replace({
+                      preventAssignment: true,
+                      values:
+                        format === 'es'
+                          ? { 'process.browser': false }
+                          : {
+                              'process.browser': false,
+                              'import.meta.url': '__$$shim_import_meta_url',
+                              'import.meta.resolve': '__$$shim_import_meta_resolve',
+                            },
+                    }),
+                    format === 'cjs' &&
+                      inject({
+                        __$$shim_import_meta_url: [nodeShim, 'shim_import_meta_url'],
+                        __$$shim_import_meta_resolve: [nodeShim, 'shim_import_meta_resolve'],
+                      }),
+                    format === 'cjs' &&
+                      nodeFormat === 'cjs' &&
+                      !suffix && {
+                        // exports of the entry chunks for the declarations
+                        name: 'node-exports',
+                        writeBundle(_, output) {
+                          Object.values(output)
+                            .filter((chunk) => chunk.isEntry)
+                            .forEach(({ name, exports }) => nodeExports.set(name, exports))
+                        },
+                      },
+                    format === 'cjs' &&
+                      detectTopLevelAwait({
+                        target: 'node',
+                        inputs,
+                        description: 'as CommonJS for Node.js',
+                        hint:
+                          'Use "publishConfig": { "nodeFormat": "esm" } to bundle Node.js as es module' +
+                          ' or "publishConfig": { "topLevelAwait": "esm" } to only bundle the affected entries as es module',
+                      }),
+                    format === 'cjs' &&
+                      nodeFormat === 'dual' && {
+                        // 2. generate esm wrapper for Node.js
+                        name: 'esm-wrapper',
+                        async writeBundle(_, output) {
+                          time(`Generated Node.js esm wrappers [${mode}]`)
+
+                          await Promise.all(
+                            Object.values(output)
+                              .filter((chunk) => chunk.isEntry)
+                              .map(async ({ name, exports }) => {
+                                // exports: [ '*@twind/core', 'default', 'toColorValue' ]
+
+                                let wrapper = ''
+
+                                // node imports module.exports as default — a lone default export
+                                // is assigned to it (`exports: 'auto'`), otherwise it is a property
+                                const hasDefault = exports.includes('default')
+                                const loneDefault = hasDefault && exports.length === 1
+
+                                if (!loneDefault) {
+                                  wrapper += `import __$$ from ${JSON.stringify(
+                                    `./${name}${suffix}${cjsExt}`,
+                                  )};\n`
+                                  wrapper += `export default __$$${hasDefault ? '.default' : ''};\n`
+                                }
+
+                                exports
+                                  .filter((name) => name[0] == '*')
+                                  .forEach((name) => {
+                                    wrapper += `export * from ${JSON.stringify(name.slice(1))};\n`
+                                  })
+
+                                const namedExports = exports.filter(
+                                  (name) => name[0] != '*' && (loneDefault || name != 'default'),
+                                )
+                                if (namedExports.length) {
+                                  wrapper += `export { ${namedExports.join(
+                                    ', ',
+                                  )} } from ${JSON.stringify(`./${name}${suffix}${cjsExt}`)};\n`
+                                }
+
+                                await fs.writeFile(
+                                  path.resolve(paths.dist, `${name}${suffix}.mjs`),
+                                  wrapper,
+                                )
+
+                                addFiles('node', [`${name}${suffix}.mjs`])
+
+                                if (!suffix) nodeExports.set(name, exports)
+                              }),
+                          )
+
+                          timeEnd(`Generated Node.js esm wrappers [${mode}]`)
+                        },
+                      },
+                  ],
+                  output: {
+                    format,
+                    exports: 'auto',
+                    dir: paths.dist,
+                    entryFileNames: `[name]${suffix}${format === 'es' ? '.mjs' : cjsExt}`,
+                    chunkFileNames: `_/[name]-[hash]${format === 'es' ? esmChunkExt : cjsExt}`,
+                    assetFileNames: '_/assets/[name]-[hash][extname]',
+                    generatedCode: {
+                      preset: 'es2015',
+                      arrowFunctions: true,
+                      constBindings: true,
+                      objectShorthand: true,
+                      // add: [Symbol.toStringTag]: { value: 'Module' }
+                      symbols: true,
                     },
+                    hoistTransitiveImports: false,
+                    interop: 'auto',
+                    minifyInternalExports: false,
+                    sourcemap: true,
+                    freeze: true,
+                    esModule: true,
+                    strict: true,
                   },
-                }),
-                dynamicImportVars({ warnOnError: true }),
-                replace({
-                  preventAssignment: true,
-                  values: {
-                    'process.browser': false,
-                    'import.meta.url': '__$$shim_import_meta_url',
-                    'import.meta.resolve': '__$$shim_import_meta_resolve',
-                  },
-                }),
-                inject({
-                  __$$shim_import_meta_url: [
-                    fileURLToPath(new URL('./shim-node-cjs.js', import.meta.url)),
-                    'shim_import_meta_url',
-                  ],
-                  __$$shim_import_meta_resolve: [
-                    fileURLToPath(new URL('./shim-node-cjs.js', import.meta.url)),
-                    'shim_import_meta_resolve',
-                  ],
-                }),
-              ],
-            })
-
-            const { output } = await bundle.write({
-              format: 'cjs',
-              exports: 'auto',
-              dir: paths.dist,
-              entryFileNames: `[name]${suffix}${cjsExt}`,
-              chunkFileNames: `_/[name]-[hash]${cjsExt}`,
-              assetFileNames: '_/assets/[name]-[hash][extname]',
-              generatedCode: {
-                preset: 'es2015',
-                arrowFunctions: true,
-                constBindings: true,
-                objectShorthand: true,
-                // add: [Symbol.toStringTag]: { value: 'Module' }
-                symbols: true,
-              },
-              hoistTransitiveImports: false,
-              interop: 'auto',
-              minifyInternalExports: false,
-              sourcemap: true,
-              freeze: true,
-              esModule: true,
-              strict: true,
-            })
-
-            await bundle.close()
-
-            console.timeEnd(`Generated Node.js cjs bundles (${targets.node}) [${mode}]`)
-
-            // 2. generate esm wrapper for Node.js
-            console.time(`Generated Node.js esm wrappers [${mode}]`)
-            await Promise.all(
-              output
-                .filter((chunk) => chunk.isEntry)
-                .map(async ({ name, exports }) => {
-                  // exports: [ '*@twind/core', 'default', 'toColorValue' ]
-
-                  let wrapper = ''
-
-                  if (!exports.includes('default')) {
-                    wrapper += `import __$$ from ${JSON.stringify(
-                      `./${name}${suffix}${cjsExt}`,
-                    )};\n`
-                    wrapper += `export default __$$;\n`
-                  }
-
-                  exports
-                    .filter((name) => name[0] == '*')
-                    .forEach((name) => {
-                      wrapper += `export * from ${JSON.stringify(name.slice(1))};\n`
-                    })
-
-                  const namedExports = exports.filter((name) => name[0] != '*')
-                  if (namedExports.length) {
-                    wrapper += `export { ${namedExports.join(', ')} } from ${JSON.stringify(
-                      `./${name}${suffix}${cjsExt}`,
-                    )};\n`
-                  }
-
-                  await fs.writeFile(path.resolve(paths.dist, `${name}${suffix}.mjs`), wrapper)
-                }),
-            )
-
-            console.timeEnd(`Generated Node.js esm wrappers [${mode}]`)
+                })),
+            }
           },
           async () => {
             if (!targets.deno) return
 
-            const inputs = entryPoints
+            const inputs = entries
               .filter(({ conditions }) => conditions.deno !== null)
               .map(({ outputFile, conditions }) => [
                 outputFile,
@@ -1001,131 +1960,175 @@ async function main() {
 
             if (!inputs.length) return
 
-            console.time(`Generated deno bundles (${targets.deno}) [${mode}]`)
+            // deno picks up the declarations referenced by the bundle
+            const declarations = Object.fromEntries(
+              entries.map(({ entryPoint, outputFile }) => {
+                const { deno, types } = publishManifest.exports[entryPoint] || {}
 
-            const bundle = await rollup({
-              input: Object.fromEntries(inputs),
-              external: (source) =>
-                external.includes(source) ||
-                external.some((external) => source.startsWith(external + '/')),
-              preserveEntrySignatures: 'strict',
-              treeshake: {
-                propertyReadSideEffects: false,
-              },
-              onwarn(warning, warn) {
-                if (warning.code === 'CIRCULAR_DEPENDENCY') {
-                  return
-                }
+                return [outputFile, deno?.types || types]
+              }),
+            )
 
-                if (warning.code === 'UNRESOLVED_IMPORT' && warning.source?.startsWith('node:')) {
-                  throw new Error(warning.message)
-                }
+            return {
+              name: 'deno',
+              label: `Generated deno bundles (${targets.deno}) [${mode}]`,
+              configs: [
+                {
+                  input: Object.fromEntries(inputs),
+                  external: (source) =>
+                    external.includes(source) ||
+                    external.some((external) => source.startsWith(external + '/')),
+                  preserveEntrySignatures: 'strict',
+                  treeshake: {
+                    propertyReadSideEffects: false,
+                  },
+                  onwarn(warning) {
+                    if (warning.code === 'CIRCULAR_DEPENDENCY') {
+                      return
+                    }
 
-                // Use default for everything else
-                warn(warning)
-              },
-              plugins: [
-                tsPaths({ tsConfigPath: paths.tsconfig }),
-                commonjs({
-                  extensions: ['.cjs', '.js'],
-                }),
-                nodeResolve({
-                  browser: true,
-                  extensions: resolveExtensions,
-                  mainFields: [
-                    'esnext',
-                    'esmodules',
-                    'modern',
-                    'es2015',
-                    'module',
-                    'deno',
-                    'worker',
-                    'browser',
-                    'jsnext:main',
-                    'main',
-                  ],
-                  exportConditions: [
-                    mode,
-                    'esnext',
-                    'modern',
-                    'esmodules',
-                    'es2015',
-                    'module',
-                    'deno',
-                    'worker',
-                    'import',
-                    'require',
-                    'default',
-                    'browser',
-                  ],
-                }),
-                json({ preferConst: true }),
-                swc({
-                  mode,
-                  format: 'es',
-                  jsc: {
-                    target: targets.deno, // https://swc.rs/docs/configuration/compilation#jsctransform
-                    transform: {
-                      // https://swc.rs/docs/configuration/compilation#jsctransformoptimizer
-                      optimizer: {
-                        globals: {
-                          // If you set { "window": "object" }, typeof window will be replaced with "object".
-                          typeofs: {
-                            // not replacing window and document because deno projects
-                            // often don't use a bundler and one dependency for server and browser
-                            process: 'undefined',
+                    if (
+                      warning.code === 'UNRESOLVED_IMPORT' &&
+                      warning.source?.startsWith('node:')
+                    ) {
+                      throw new Error(warning.message)
+                    }
+
+                    // Collect everything else
+                    addWarning(warning)
+                  },
+                  plugins: [
+                    tsPaths({ tsConfigPath: paths.tsconfig }),
+                    commonjs({
+                      extensions: ['.cjs', '.js'],
+                    }),
+                    resolveModules({
+                      browser: true,
+                      extensions: resolveExtensions,
+                      mainFields: [
+                        'esnext',
+                        'esmodules',
+                        'modern',
+                        'es2015',
+                        'module',
+                        'deno',
+                        'worker',
+                        'browser',
+                        'jsnext:main',
+                        'main',
+                      ],
+                      exportConditions: [
+                        mode,
+                        'esnext',
+                        'modern',
+                        'esmodules',
+                        'es2015',
+                        'module',
+                        'deno',
+                        'worker',
+                        'import',
+                        'require',
+                        'default',
+                        'browser',
+                      ],
+                    }),
+                    styles({ target: 'deno', mode }),
+                    assets({ target: 'deno', mode, bundleWorker }),
+                    json({ preferConst: true }),
+                    swc({
+                      target: 'deno',
+                      mode,
+                      format: 'es',
+                      jsc: {
+                        target: targets.deno, // https://swc.rs/docs/configuration/compilation#jsctransform
+                        transform: {
+                          // https://swc.rs/docs/configuration/compilation#jsctransformoptimizer
+                          optimizer: {
+                            globals: {
+                              // If you set { "window": "object" }, typeof window will be replaced with "object".
+                              typeofs: {
+                                // not replacing window and document because deno projects
+                                // often don't use a bundler and one dependency for server and browser
+                                process: 'undefined',
+                              },
+                            },
                           },
                         },
+
+                        // https://2ality.com/2015/12/babel6-loose-mode.html
+                        loose: true,
+                        keepClassNames: false,
+                      },
+                    }),
+                    replace({
+                      preventAssignment: true,
+                      values: {
+                        'process.browser': 'undefined',
+                        'process.env.NODE_ENV': JSON.stringify(mode),
+                      },
+                    }),
+                    dynamicImportVars({ warnOnError: true }),
+                    mode === primaryMode &&
+                      manifest.publishConfig?.importMap && {
+                        // for projects using the bare specifiers of the dependencies
+                        name: 'deno-import-map',
+                        generateBundle() {
+                          this.emitFile({
+                            type: 'asset',
+                            fileName: 'import_map.json',
+                            source: JSON.stringify({ imports: npmImports() }, null, 2),
+                          })
+                        },
                       },
+                  ],
+                  output: {
+                    format: 'es',
+                    dir: paths.dist,
+                    entryFileNames: `[name].deno${suffix}.js`,
+                    paths: npmSpecifier,
+                    banner: (chunk) => {
+                      const declaration = chunk.isEntry && declarations[chunk.name]
+
+                      if (!declaration) return ''
+
+                      const relative = path.posix.relative(
+                        path.posix.dirname(chunk.fileName),
+                        declaration.slice(2),
+                      )
+
+                      const types = relative[0] === '.' ? relative : `./${relative}`
+
+                      // jsr only reads the types from @ts-self-types
+                      return `/// <reference types="${types}" />${
+                        jsr && !jsr.source ? `\n// @ts-self-types="${types}"` : ''
+                      }`
                     },
-
-                    // https://2ality.com/2015/12/babel6-loose-mode.html
-                    loose: true,
-                    keepClassNames: false,
-                  },
-                }),
-                replace({
-                  preventAssignment: true,
-                  values: {
-                    'process.browser': 'undefined',
-                    'process.env.NODE_ENV': JSON.stringify(mode),
+                    chunkFileNames: `_/[name]-[hash].js`,
+                    assetFileNames: '_/assets/[name]-[hash][extname]',
+                    compact: true,
+                    generatedCode: {
+                      preset: 'es2015',
+                      arrowFunctions: true,
+                      constBindings: true,
+                      objectShorthand: true,
+                      // prevent: [Symbol.toStringTag]: { value: 'Module' }
+                      symbols: false,
+                    },
+                    hoistTransitiveImports: false,
+                    interop: 'auto',
+                    minifyInternalExports: true,
+                    sourcemap: true,
+                    freeze: false,
+                    esModule: false,
                   },
-                }),
-                dynamicImportVars({ warnOnError: true }),
+                },
               ],
-            })
-
-            await bundle.write({
-              format: 'es',
-              dir: paths.dist,
-              entryFileNames: `[name].deno${suffix}.js`,
-              chunkFileNames: `_/[name]-[hash].js`,
-              assetFileNames: '_/assets/[name]-[hash][extname]',
-              compact: true,
-              generatedCode: {
-                preset: 'es2015',
-                arrowFunctions: true,
-                constBindings: true,
-                objectShorthand: true,
-                // prevent: [Symbol.toStringTag]: { value: 'Module' }
-                symbols: false,
-              },
-              hoistTransitiveImports: false,
-              interop: 'auto',
-              minifyInternalExports: true,
-              sourcemap: true,
-              freeze: false,
-              esModule: false,
-            })
-
-            await bundle.close()
-
-            console.timeEnd(`Generated deno bundles (${targets.deno}) [${mode}]`)
+            }
           },
           async () => {
             if (!targets.worker) return
 
-            const inputs = entryPoints
+            const inputs = entries
               .filter(({ conditions }) => conditions.worker !== null)
               .map(({ outputFile, conditions }) => [
                 outputFile,
@@ -1135,305 +2138,173 @@ async function main() {
 
             if (!inputs.length) return
 
-            console.time(`Generated worker bundles (${targets.worker}) [${mode}]`)
-
-            const bundle = await rollup({
-              input: Object.fromEntries(inputs),
-              external: (source) =>
-                external.includes(source) ||
-                external.some((external) => source.startsWith(external + '/')),
-              preserveEntrySignatures: 'strict',
-              treeshake: {
-                propertyReadSideEffects: false,
-              },
-              onwarn(warning, warn) {
-                if (warning.code === 'CIRCULAR_DEPENDENCY') {
-                  return
-                }
+            return {
+              name: 'worker',
+              label: `Generated worker bundles (${targets.worker}) [${mode}]`,
+              configs: [
+                {
+                  input: Object.fromEntries(inputs),
+                  external: (source) =>
+                    external.includes(source) ||
+                    external.some((external) => source.startsWith(external + '/')),
+                  preserveEntrySignatures: 'strict',
+                  treeshake: {
+                    propertyReadSideEffects: false,
+                  },
+                  onwarn(warning) {
+                    if (warning.code === 'CIRCULAR_DEPENDENCY') {
+                      return
+                    }
 
-                if (warning.code === 'UNRESOLVED_IMPORT' && warning.source?.startsWith('node:')) {
-                  throw new Error(warning.message)
-                }
+                    if (
+                      warning.code === 'UNRESOLVED_IMPORT' &&
+                      warning.source?.startsWith('node:')
+                    ) {
+                      throw new Error(warning.message)
+                    }
 
-                // Use default for everything else
-                warn(warning)
-              },
-              plugins: [
-                tsPaths({ tsConfigPath: paths.tsconfig }),
-                commonjs({
-                  extensions: ['.cjs', '.js'],
-                }),
-                nodeResolve({
-                  browser: true,
-                  extensions: resolveExtensions,
-                  mainFields: [
-                    'esnext',
-                    'esmodules',
-                    'modern',
-                    'es2015',
-                    'module',
-                    'worker',
-                    'browser',
-                    'jsnext:main',
-                    'main',
-                  ],
-                  exportConditions: [
-                    mode,
-                    'esnext',
-                    'modern',
-                    'esmodules',
-                    'es2015',
-                    'module',
-                    'worker',
-                    'import',
-                    'require',
-                    'default',
-                    'browser',
-                  ],
-                }),
-                json({ preferConst: true }),
-                swc({
-                  mode,
-                  format: 'es',
-                  jsc: {
-                    target: targets.worker, // https://swc.rs/docs/configuration/compilation#jsctransform
-                    transform: {
-                      // https://swc.rs/docs/configuration/compilation#jsctransformoptimizer
-                      optimizer: {
-                        globals: {
-                          // If you set { "window": "object" }, typeof window will be replaced with "object".
-                          typeofs: {
-                            window: 'undefined',
-                            document: 'undefined',
-                            process: 'undefined',
+                    // Collect everything else
+                    addWarning(warning)
+                  },
+                  plugins: [
+                    tsPaths({ tsConfigPath: paths.tsconfig }),
+                    commonjs({
+                      extensions: ['.cjs', '.js'],
+                    }),
+                    resolveModules({
+                      browser: true,
+                      extensions: resolveExtensions,
+                      mainFields: [
+                        'esnext',
+                        'esmodules',
+                        'modern',
+                        'es2015',
+                        'module',
+                        'worker',
+                        'browser',
+                        'jsnext:main',
+                        'main',
+                      ],
+                      exportConditions: [
+                        mode,
+                        'esnext',
+                        'modern',
+                        'esmodules',
+                        'es2015',
+                        'module',
+                        'worker',
+                        'import',
+                        'require',
+                        'default',
+                        'browser',
+                      ],
+                    }),
+                    styles({ target: 'worker', mode }),
+                    assets({ target: 'worker', mode, bundleWorker }),
+                    json({ preferConst: true }),
+                    swc({
+                      target: 'worker',
+                      mode,
+                      format: 'es',
+                      jsc: {
+                        target: targets.worker, // https://swc.rs/docs/configuration/compilation#jsctransform
+                        transform: {
+                          // https://swc.rs/docs/configuration/compilation#jsctransformoptimizer
+                          optimizer: {
+                            globals: {
+                              // If you set { "window": "object" }, typeof window will be replaced with "object".
+                              typeofs: {
+                                window: 'undefined',
+                                document: 'undefined',
+                                process: 'undefined',
+                              },
+                            },
                           },
                         },
+
+                        // https://2ality.com/2015/12/babel6-loose-mode.html
+                        loose: true,
+                        keepClassNames: false,
+                      },
+                    }),
+                    replace({
+                      preventAssignment: true,
+                      values: {
+                        'process.browser': false,
+                        'process.env.NODE_ENV': JSON.stringify(mode),
                       },
+                    }),
+                    dynamicImportVars({ warnOnError: true }),
+                  ],
+                  output: {
+                    format: 'es',
+                    dir: paths.dist,
+                    entryFileNames: `[name].worker${suffix}.js`,
+                    chunkFileNames: `_/[name]-[hash].js`,
+                    assetFileNames: '_/assets/[name]-[hash][extname]',
+                    compact: true,
+                    generatedCode: {
+                      preset: 'es2015',
+                      arrowFunctions: true,
+                      constBindings: true,
+                      objectShorthand: true,
+                      // prevent: [Symbol.toStringTag]: { value: 'Module' }
+                      symbols: false,
                     },
-
-                    // https://2ality.com/2015/12/babel6-loose-mode.html
-                    loose: true,
-                    keepClassNames: false,
+                    hoistTransitiveImports: false,
+                    interop: 'auto',
+                    minifyInternalExports: true,
+                    sourcemap: true,
+                    freeze: false,
+                    esModule: false,
                   },
-                }),
-                replace({
-                  preventAssignment: true,
-                  values: {
-                    'process.browser': false,
-                    'process.env.NODE_ENV': JSON.stringify(mode),
-                  },
-                }),
-                dynamicImportVars({ warnOnError: true }),
+                },
               ],
-            })
-
-            await bundle.write({
-              format: 'es',
-              dir: paths.dist,
-              entryFileNames: `[name].worker${suffix}.js`,
-              chunkFileNames: `_/[name]-[hash].js`,
-              assetFileNames: '_/assets/[name]-[hash][extname]',
-              compact: true,
-              generatedCode: {
-                preset: 'es2015',
-                arrowFunctions: true,
-                constBindings: true,
-                objectShorthand: true,
-                // prevent: [Symbol.toStringTag]: { value: 'Module' }
-                symbols: false,
-              },
-              hoistTransitiveImports: false,
-              interop: 'auto',
-              minifyInternalExports: true,
-              sourcemap: true,
-              freeze: false,
-              esModule: false,
-            })
-
-            await bundle.close()
-
-            console.timeEnd(`Generated worker bundles (${targets.worker}) [${mode}]`)
+            }
           },
           async () => {
-            if (!targets.browser) return
+            if (!targets.bun) return
 
-            const inputs = entryPoints
-              .filter(({ conditions }) => conditions.browser !== null)
+            const inputs = entries
+              .filter(({ conditions }) => conditions.bun !== null)
               .map(({ outputFile, conditions }) => [
                 outputFile,
-                conditions.browser || conditions.default,
+                conditions.bun || conditions.node || conditions.default,
               ])
               .filter(([_, source]) => source)
 
             if (!inputs.length) return
 
-            console.time(`Generated browser bundles (${targets.browser}) [${mode}]`)
-
-            const bundle = await rollup({
-              input: Object.fromEntries(inputs),
-              external: (source) =>
-                external.includes(source) ||
-                external.some((external) => source.startsWith(external + '/')),
-              preserveEntrySignatures: 'strict',
-              treeshake: {
-                propertyReadSideEffects: false,
-              },
-              onwarn(warning, warn) {
-                if (warning.code === 'CIRCULAR_DEPENDENCY') {
-                  return
-                }
-
-                if (warning.code === 'UNRESOLVED_IMPORT' && warning.source?.startsWith('node:')) {
-                  throw new Error(warning.message)
-                }
-
-                // Use default for everything else
-                warn(warning)
-              },
-              plugins: [
-                tsPaths({ tsConfigPath: paths.tsconfig }),
-                commonjs({
-                  extensions: ['.cjs', '.js'],
-                }),
-                nodeResolve({
-                  browser: true,
-                  extensions: resolveExtensions,
-                  mainFields: [
-                    'esnext',
-                    'esmodules',
-                    'modern',
-                    'es2015',
-                    'module',
-                    'browser',
-                    'jsnext:main',
-                    'main',
-                  ],
-                  exportConditions: [
-                    mode,
-                    'esnext',
-                    'modern',
-                    'esmodules',
-                    'es2015',
-                    'module',
-                    'import',
-                    'require',
-                    'default',
-                    'browser',
-                  ],
-                }),
-                json({ preferConst: true }),
-                swc({
-                  mode,
-                  format: 'es',
-                  jsc: {
-                    target: targets.browser, // https://swc.rs/docs/configuration/compilation#jsctransform
-                    transform: {
-                      // https://swc.rs/docs/configuration/compilation#jsctransformoptimizer
-                      optimizer: {
-                        globals: {
-                          // If you set { "window": "object" }, typeof window will be replaced with "object".
-                          typeofs: {
-                            self: 'object',
-                            window: 'object',
-                            document: 'object',
-                            process: 'undefined',
-                          },
-                        },
-                      },
-                    },
-
-                    // https://2ality.com/2015/12/babel6-loose-mode.html
-                    loose: true,
-                    keepClassNames: false,
-                  },
-                }),
-                replace({
-                  preventAssignment: true,
-                  values: {
-                    'process.browser': true,
-                    'process.env.NODE_ENV': JSON.stringify(mode),
-                  },
-                }),
-                dynamicImportVars({ warnOnError: true }),
-              ],
-            })
-
-            await bundle.write({
-              format: 'es',
-              dir: paths.dist,
-              entryFileNames: `[name].browser${suffix}.js`,
-              chunkFileNames: `_/[name]-[hash].js`,
-              assetFileNames: '_/assets/[name]-[hash][extname]',
-              compact: true,
-              generatedCode: {
-                preset: 'es2015',
-                arrowFunctions: true,
-                constBindings: true,
-                objectShorthand: true,
-                // prevent: [Symbol.toStringTag]: { value: 'Module' }
-                symbols: false,
-              },
-              hoistTransitiveImports: false,
-              interop: 'auto',
-              minifyInternalExports: true,
-              sourcemap: true,
-              freeze: false,
-              esModule: false,
-            })
-
-            await bundle.close()
-
-            console.timeEnd(`Generated browser bundles (${targets.browser}) [${mode}]`)
-          },
-
-          async () => {
-            if (!targets.script) return
-
-            const inputs = entryPoints.filter(
-              ({ conditions }) =>
-                conditions.script !== null &&
-                (conditions.script || conditions.browser || conditions.default),
-            )
-
-            if (!inputs.length) return
-
-            console.time(`Generated script bundles (${targets.script}) [${mode}]`)
-
-            await Promise.all(
-              inputs.map(async ({ outputFile, conditions }) => {
-                const inputFile = conditions.script || conditions.browser || conditions.default
-
-                const bundle = await rollup({
-                  input: inputFile,
+            return {
+              name: 'bun',
+              label: `Generated bun bundles (${targets.bun}) [${mode}]`,
+              configs: [
+                {
+                  input: Object.fromEntries(inputs),
                   external: (source) =>
-                    scriptExternal.includes(source) ||
-                    scriptExternal.some((external) => source.startsWith(external + '/')),
+                    external.includes(source) ||
+                    external.some((external) => source.startsWith(external + '/')),
                   preserveEntrySignatures: 'strict',
                   treeshake: {
                     propertyReadSideEffects: false,
                   },
-                  onwarn(warning, warn) {
-                    if (warning.code === 'CIRCULAR_DEPENDENCY') {
-                      return
-                    }
-
+                  onwarn(warning) {
                     if (
-                      warning.code === 'UNRESOLVED_IMPORT' &&
-                      warning.source?.startsWith('node:')
+                      warning.code === 'CIRCULAR_DEPENDENCY' ||
+                      (warning.code === 'UNRESOLVED_IMPORT' && warning.source?.startsWith('node:'))
                     ) {
-                      throw new Error(warning.message)
+                      return
                     }
 
-                    // Use default for everything else
-                    warn(warning)
+                    // Collect everything else
+                    addWarning(warning)
                   },
                   plugins: [
                     tsPaths({ tsConfigPath: paths.tsconfig }),
                     commonjs({
                       extensions: ['.cjs', '.js'],
                     }),
-                    nodeResolve({
-                      browser: true,
+                    resolveModules({
                       extensions: resolveExtensions,
                       mainFields: [
                         'esnext',
@@ -1441,11 +2312,12 @@ async function main() {
                         'modern',
                         'es2015',
                         'module',
-                        'browser',
                         'jsnext:main',
                         'main',
                       ],
                       exportConditions: [
+                        'bun',
+                        'node',
                         mode,
                         'esnext',
                         'modern',
@@ -1453,28 +2325,29 @@ async function main() {
                         'es2015',
                         'module',
                         'import',
-                        'default',
                         'require',
-                        'browser',
+                        'default',
                       ],
                     }),
+                    styles({ target: 'bun', mode }),
+                    assets({ target: 'bun', mode, bundleWorker }),
                     json({ preferConst: true }),
                     swc({
+                      target: 'bun',
                       mode,
-                      format: 'iife',
+                      format: 'es',
                       jsc: {
-                        target: targets.script,
-                        // https://swc.rs/docs/configuration/compilation#jsctransform
+                        target: targets.bun, // https://swc.rs/docs/configuration/compilation#jsctransform
                         transform: {
                           // https://swc.rs/docs/configuration/compilation#jsctransformoptimizer
                           optimizer: {
                             globals: {
                               // If you set { "window": "object" }, typeof window will be replaced with "object".
                               typeofs: {
-                                self: 'object',
-                                window: 'object',
-                                document: 'object',
-                                process: 'undefined',
+                                Bun: 'object',
+                                window: 'undefined',
+                                document: 'undefined',
+                                process: 'object',
                               },
                             },
                           },
@@ -1484,444 +2357,2754 @@ async function main() {
                         loose: true,
                         keepClassNames: false,
                       },
-
-                      minify: true,
                     }),
                     replace({
                       preventAssignment: true,
                       values: {
-                        'process.browser': true,
-                        'process.env.NODE_ENV': JSON.stringify(mode),
+                        'process.browser': false,
                       },
                     }),
                     dynamicImportVars({ warnOnError: true }),
                   ],
-                })
+                  output: {
+                    format: 'es',
+                    dir: paths.dist,
+                    entryFileNames: `[name].bun${suffix}.js`,
+                    chunkFileNames: `_/[name]-[hash].js`,
+                    assetFileNames: '_/assets/[name]-[hash][extname]',
+                    compact: true,
+                    generatedCode: {
+                      preset: 'es2015',
+                      arrowFunctions: true,
+                      constBindings: true,
+                      objectShorthand: true,
+                      // prevent: [Symbol.toStringTag]: { value: 'Module' }
+                      symbols: false,
+                    },
+                    hoistTransitiveImports: false,
+                    interop: 'auto',
+                    minifyInternalExports: true,
+                    sourcemap: true,
+                    freeze: false,
+                    esModule: false,
+                  },
+                },
+              ],
+            }
+          },
+          async () => {
+            if (!targets.edge) return
 
-                const content = await fs.readFile(inputFile, { encoding: 'utf-8' })
+            const inputs = entries
+              .filter(({ conditions }) => conditions['edge-light'] !== null)
+              .map(({ outputFile, conditions }) => [
+                outputFile,
+                conditions['edge-light'] ||
+                  conditions.workerd ||
+                  conditions.worker ||
+                  conditions.browser ||
+                  conditions.default,
+              ])
+              .filter(([_, source]) => source)
 
-                const name =
-                  content.match(/\/\*\s*@distilt-global-name\s+(\S+)\s*\*\//)?.[1] ||
-                  (mainEntryPoint === outputFile
-                    ? globalName
-                    : globalName + '_' + makeGlobalName(outputFile))
+            if (!inputs.length) return
 
-                await bundle.write({
-                  format: 'iife',
-                  file: path.resolve(paths.dist, `${outputFile}.global${suffix}.js`),
-                  assetFileNames: '_/assets/[name]-[hash][extname]',
-                  name,
-                  compact: true,
-                  inlineDynamicImports: true,
-                  // TODO configureable globals
-                  globals: (id) => {
-                    return (
-                      {
-                        lodash: '_',
-                        'lodash-es': '_',
-                        jquery: '$',
-                      }[id] || makeGlobalName(id)
-                    )
-                  },
-                  generatedCode: {
-                    preset: 'es2015',
-                    arrowFunctions: true,
-                    constBindings: true,
-                    objectShorthand: true,
-                    // prevent: [Symbol.toStringTag]: { value: 'Module' }
-                    symbols: false,
+            return {
+              name: 'edge',
+              label: `Generated edge bundles (${targets.edge}) [${mode}]`,
+              configs: [
+                {
+                  input: Object.fromEntries(inputs),
+                  external: (source) =>
+                    external.includes(source) ||
+                    external.some((external) => source.startsWith(external + '/')),
+                  preserveEntrySignatures: 'strict',
+                  treeshake: {
+                    propertyReadSideEffects: false,
                   },
-                  hoistTransitiveImports: false,
-                  interop: 'auto',
-                  minifyInternalExports: true,
-                  sourcemap: true,
-                  freeze: false,
-                  esModule: false,
-                  strict: true,
-                })
-
-                await bundle.close()
-              }),
+                  onwarn(warning) {
+                    if (
+                      warning.code === 'CIRCULAR_DEPENDENCY' ||
+                      (warning.code === 'UNRESOLVED_IMPORT' && warning.source?.startsWith('node:'))
+                    ) {
+                      return
+                    }
+
+                    // Collect everything else
+                    addWarning(warning)
+                  },
+                  plugins: [
+                    tsPaths({ tsConfigPath: paths.tsconfig }),
+                    commonjs({
+                      extensions: ['.cjs', '.js'],
+                    }),
+                    resolveModules({
+                      browser: true,
+                      extensions: resolveExtensions,
+                      mainFields: [
+                        'esnext',
+                        'esmodules',
+                        'modern',
+                        'es2015',
+                        'module',
+                        'worker',
+                        'browser',
+                        'jsnext:main',
+                        'main',
+                      ],
+                      exportConditions: [
+                        'edge-light',
+                        'workerd',
+                        mode,
+                        'esnext',
+                        'modern',
+                        'esmodules',
+                        'es2015',
+                        'module',
+                        'worker',
+                        'import',
+                        'require',
+                        'default',
+                        'browser',
+                      ],
+                    }),
+                    styles({ target: 'edge', mode }),
+                    assets({ target: 'edge', mode, bundleWorker }),
+                    json({ preferConst: true }),
+                    swc({
+                      target: 'edge',
+                      mode,
+                      format: 'es',
+                      jsc: {
+                        target: targets.edge, // https://swc.rs/docs/configuration/compilation#jsctransform
+                        transform: {
+                          // https://swc.rs/docs/configuration/compilation#jsctransformoptimizer
+                          optimizer: {
+                            globals: {
+                              // If you set { "window": "object" }, typeof window will be replaced with "object".
+                              typeofs: {
+                                window: 'undefined',
+                                document: 'undefined',
+                                process: 'undefined',
+                              },
+                            },
+                          },
+                        },
+
+                        // https://2ality.com/2015/12/babel6-loose-mode.html
+                        loose: true,
+                        keepClassNames: false,
+                      },
+                    }),
+                    replace({
+                      preventAssignment: true,
+                      values: {
+                        'process.browser': false,
+                        'process.env.NODE_ENV': JSON.stringify(mode),
+                      },
+                    }),
+                    dynamicImportVars({ warnOnError: true }),
+                  ],
+                  output: {
+                    format: 'es',
+                    dir: paths.dist,
+                    entryFileNames: `[name].edge${suffix}.js`,
+                    chunkFileNames: `_/[name]-[hash].js`,
+                    assetFileNames: '_/assets/[name]-[hash][extname]',
+                    compact: true,
+                    generatedCode: {
+                      preset: 'es2015',
+                      arrowFunctions: true,
+                      constBindings: true,
+                      objectShorthand: true,
+                      // prevent: [Symbol.toStringTag]: { value: 'Module' }
+                      symbols: false,
+                    },
+                    hoistTransitiveImports: false,
+                    interop: 'auto',
+                    minifyInternalExports: true,
+                    sourcemap: true,
+                    freeze: false,
+                    esModule: false,
+                  },
+                },
+              ],
+            }
+          },
+          async () => {
+            if (!targets['react-native']) return
+
+            const inputs = entries
+              .filter(({ conditions }) => conditions['react-native'] !== null)
+              .map(({ outputFile, conditions }) => [
+                outputFile,
+                conditions['react-native'] || conditions.browser || conditions.default,
+              ])
+              .filter(([_, source]) => source)
+
+            if (!inputs.length) return
+
+            return {
+              name: 'react-native',
+              label: `Generated react-native bundles (${targets['react-native']}) [${mode}]`,
+              configs: [
+                {
+                  input: Object.fromEntries(inputs),
+                  external: (source) =>
+                    external.includes(source) ||
+                    external.some((external) => source.startsWith(external + '/')),
+                  preserveEntrySignatures: 'strict',
+                  treeshake: {
+                    propertyReadSideEffects: false,
+                  },
+                  onwarn(warning) {
+                    if (warning.code === 'CIRCULAR_DEPENDENCY') {
+                      return
+                    }
+
+                    if (
+                      warning.code === 'UNRESOLVED_IMPORT' &&
+                      warning.source?.startsWith('node:')
+                    ) {
+                      throw new Error(warning.message)
+                    }
+
+                    // Collect everything else
+                    addWarning(warning)
+                  },
+                  plugins: [
+                    tsPaths({ tsConfigPath: paths.tsconfig }),
+                    commonjs({
+                      extensions: ['.cjs', '.js'],
+                    }),
+                    resolveModules({
+                      browser: true,
+                      extensions: resolveExtensions,
+                      mainFields: [
+                        'react-native',
+                        'esnext',
+                        'esmodules',
+                        'modern',
+                        'es2015',
+                        'module',
+                        'browser',
+                        'jsnext:main',
+                        'main',
+                      ],
+                      exportConditions: [
+                        'react-native',
+                        mode,
+                        'esnext',
+                        'modern',
+                        'esmodules',
+                        'es2015',
+                        'module',
+                        'import',
+                        'require',
+                        'default',
+                        'browser',
+                      ],
+                    }),
+                    styles({ target: 'react-native', mode }),
+                    assets({ target: 'react-native', mode, bundleWorker }),
+                    json({ preferConst: true }),
+                    swc({
+                      target: 'react-native',
+                      mode,
+                      format: 'es',
+                      jsc: {
+                        target: targets['react-native'], // https://swc.rs/docs/configuration/compilation#jsctransform
+                        transform: {
+                          // https://swc.rs/docs/configuration/compilation#jsctransformoptimizer
+                          optimizer: {
+                            globals: {
+                              // If you set { "window": "object" }, typeof window will be replaced with "object".
+                              typeofs: {
+                                // react native defines window as an alias of the global object
+                                window: 'object',
+                                document: 'undefined',
+                              },
+                            },
+                          },
+                        },
+
+                        // https://2ality.com/2015/12/babel6-loose-mode.html
+                        loose: true,
+                        keepClassNames: false,
+                      },
+                    }),
+                    replace({
+                      preventAssignment: true,
+                      values: {
+                        'process.browser': false,
+                        'process.env.NODE_ENV': JSON.stringify(mode),
+                      },
+                    }),
+                    dynamicImportVars({ warnOnError: true }),
+                  ],
+                  output: {
+                    format: 'es',
+                    dir: paths.dist,
+                    entryFileNames: `[name].react-native${suffix}.js`,
+                    chunkFileNames: `_/[name]-[hash].js`,
+                    assetFileNames: '_/assets/[name]-[hash][extname]',
+                    compact: true,
+                    generatedCode: {
+                      preset: 'es2015',
+                      arrowFunctions: true,
+                      constBindings: true,
+                      objectShorthand: true,
+                      // prevent: [Symbol.toStringTag]: { value: 'Module' }
+                      symbols: false,
+                    },
+                    hoistTransitiveImports: false,
+                    interop: 'auto',
+                    minifyInternalExports: true,
+                    sourcemap: true,
+                    freeze: false,
+                    esModule: false,
+                  },
+                },
+              ],
+            }
+          },
+          async () => {
+            if (!targets.browser) return
+
+            const inputs = entries
+              .filter(({ conditions }) => conditions.browser !== null)
+              .map(({ outputFile, conditions }) => [
+                outputFile,
+                conditions.browser || conditions.default,
+              ])
+              .filter(([_, source]) => source)
+
+            if (!inputs.length) return
+
+            return {
+              name: 'browser',
+              label: `Generated browser bundles (${targets.browser}) [${mode}]`,
+              configs: [
+                {
+                  input: Object.fromEntries(inputs),
+                  external: (source) =>
+                    external.includes(source) ||
+                    external.some((external) => source.startsWith(external + '/')),
+                  preserveEntrySignatures: 'strict',
+                  treeshake: {
+                    propertyReadSideEffects: false,
+                  },
+                  onwarn(warning) {
+                    if (warning.code === 'CIRCULAR_DEPENDENCY') {
+                      return
+                    }
+
+                    if (
+                      warning.code === 'UNRESOLVED_IMPORT' &&
+                      warning.source?.startsWith('node:')
+                    ) {
+                      throw new Error(warning.message)
+                    }
+
+                    // Collect everything else
+                    addWarning(warning)
+                  },
+                  plugins: [
+                    tsPaths({ tsConfigPath: paths.tsconfig }),
+                    commonjs({
+                      extensions: ['.cjs', '.js'],
+                    }),
+                    resolveModules({
+                      browser: true,
+                      extensions: resolveExtensions,
+                      mainFields: [
+                        'esnext',
+                        'esmodules',
+                        'modern',
+                        'es2015',
+                        'module',
+                        'browser',
+                        'jsnext:main',
+                        'main',
+                      ],
+                      exportConditions: [
+                        mode,
+                        'esnext',
+                        'modern',
+                        'esmodules',
+                        'es2015',
+                        'module',
+                        'import',
+                        'require',
+                        'default',
+                        'browser',
+                      ],
+                    }),
+                    styles({ target: 'browser', mode }),
+                    assets({ target: 'browser', mode, bundleWorker }),
+                    json({ preferConst: true }),
+                    swc({
+                      target: 'browser',
+                      mode,
+                      format: 'es',
+                      jsc: {
+                        target: targets.browser, // https://swc.rs/docs/configuration/compilation#jsctransform
+                        transform: {
+                          // https://swc.rs/docs/configuration/compilation#jsctransformoptimizer
+                          optimizer: {
+                            globals: {
+                              // If you set { "window": "object" }, typeof window will be replaced with "object".
+                              typeofs: {
+                                self: 'object',
+                                window: 'object',
+                                document: 'object',
+                                process: 'undefined',
+                              },
+                            },
+                          },
+                        },
+
+                        // https://2ality.com/2015/12/babel6-loose-mode.html
+                        loose: true,
+                        keepClassNames: false,
+                      },
+                    }),
+                    replace({
+                      preventAssignment: true,
+                      values: {
+                        'process.browser': true,
+                        'process.env.NODE_ENV': JSON.stringify(mode),
+                      },
+                    }),
+                    dynamicImportVars({ warnOnError: true }),
+                  ],
+                  output: {
+                    format: 'es',
+                    dir: paths.dist,
+                    entryFileNames: `[name].browser${suffix}.js`,
+                    chunkFileNames: `_/[name]-[hash].js`,
+                    assetFileNames: '_/assets/[name]-[hash][extname]',
+                    compact: true,
+                    generatedCode: {
+                      preset: 'es2015',
+                      arrowFunctions: true,
+                      constBindings: true,
+                      objectShorthand: true,
+                      // prevent: [Symbol.toStringTag]: { value: 'Module' }
+                      symbols: false,
+                    },
+                    hoistTransitiveImports: false,
+                    interop: 'auto',
+                    minifyInternalExports: true,
+                    sourcemap: true,
+                    freeze: false,
+                    esModule: false,
+                  },
+                },
+              ],
+            }
+          },
+
+          async () => {
+            if (!targets.script) return
+
+            const inputs = entries
+              .filter(
+                ({ conditions }) =>
+                  conditions.script !== null &&
+                  (conditions.script || conditions.browser || conditions.default),
+              )
+              .flatMap((entry) => scriptFormats.map((format) => ({ ...entry, format })))
+
+            if (!inputs.length) return
+
+            return {
+              name: 'script',
+              label: `Generated script bundles (${targets.script}) [${mode}]`,
+              configs: await Promise.all(
+                inputs.map(async ({ outputFile, conditions, format }) => {
+                  const inputFile = conditions.script || conditions.browser || conditions.default
+
+                  const content = await fs.readFile(inputFile, { encoding: 'utf-8' })
+
+                  const name =
+                    content.match(/\/\*\s*@distilt-global-name\s+(\S+)\s*\*\//)?.[1] ||
+                    (mainEntryPoint === outputFile
+                      ? globalName
+                      : globalName + '_' + makeGlobalName(outputFile))
+
+                  return {
+                    input: inputFile,
+                    external: (source) =>
+                      scriptExternal.includes(source) ||
+                      scriptExternal.some((external) => source.startsWith(external + '/')),
+                    preserveEntrySignatures: 'strict',
+                    treeshake: {
+                      propertyReadSideEffects: false,
+                    },
+                    onwarn(warning) {
+                      if (warning.code === 'CIRCULAR_DEPENDENCY') {
+                        return
+                      }
+
+                      if (
+                        warning.code === 'UNRESOLVED_IMPORT' &&
+                        warning.source?.startsWith('node:')
+                      ) {
+                        throw new Error(warning.message)
+                      }
+
+                      if (warning.code === 'MISSING_GLOBAL_NAME') {
+                        throw new Error(
+                          `No global name for "${warning.id}" imported by ${outputFile} script exports — ` +
+                            `add it to "publishConfig": { "globals": { "${warning.id}": "${warning.names[0]}" } }`,
+                        )
+                      }
+
+                      // Collect everything else
+                      addWarning(warning)
+                    },
+                    plugins: [
+                      detectTopLevelAwait({
+                        target: 'script',
+                        inputs: [[outputFile, inputFile]],
+                        description: `as ${format === 'umd' ? 'UMD' : 'IIFE'} for script exports`,
+                        hint: 'Use "script": null in the exports to not bundle the entry for script usage',
+                      }),
+                      tsPaths({ tsConfigPath: paths.tsconfig }),
+                      commonjs({
+                        extensions: ['.cjs', '.js'],
+                      }),
+                      resolveModules({
+                        browser: true,
+                        extensions: resolveExtensions,
+                        mainFields: [
+                          'esnext',
+                          'esmodules',
+                          'modern',
+                          'es2015',
+                          'module',
+                          'browser',
+                          'jsnext:main',
+                          'main',
+                        ],
+                        exportConditions: [
+                          mode,
+                          'esnext',
+                          'modern',
+                          'esmodules',
+                          'es2015',
+                          'module',
+                          'import',
+                          'default',
+                          'require',
+                          'browser',
+                        ],
+                      }),
+                      styles({ target: 'script', mode }),
+                      assets({ target: 'script', mode, bundleWorker }),
+                      json({ preferConst: true }),
+                      swc({
+                        target: 'script',
+                        mode,
+                        format: 'iife',
+                        jsc: {
+                          target: targets.script,
+                          // https://swc.rs/docs/configuration/compilation#jsctransform
+                          transform: {
+                            // https://swc.rs/docs/configuration/compilation#jsctransformoptimizer
+                            optimizer: {
+                              globals: {
+                                // If you set { "window": "object" }, typeof window will be replaced with "object".
+                                typeofs: {
+                                  self: 'object',
+                                  window: 'object',
+                                  document: 'object',
+                                  process: 'undefined',
+                                },
+                              },
+                            },
+                          },
+
+                          // https://2ality.com/2015/12/babel6-loose-mode.html
+                          loose: true,
+                          keepClassNames: false,
+                        },
+
+                        minify: true,
+                      }),
+                      replace({
+                        preventAssignment: true,
+                        values: {
+                          'process.browser': true,
+                          'process.env.NODE_ENV': JSON.stringify(mode),
+                        },
+                      }),
+                      dynamicImportVars({ warnOnError: true }),
+                    ],
+                    output: {
+                      format,
+                      file: path.resolve(
+                        paths.dist,
+                        `${outputFile}.${format === 'umd' ? 'umd' : 'global'}${suffix}.js`,
+                      ),
+                      assetFileNames: '_/assets/[name]-[hash][extname]',
+                      name,
+                      compact: true,
+                      inlineDynamicImports: true,
+                      globals: scriptGlobals,
+                      generatedCode: {
+                        preset: 'es2015',
+                        arrowFunctions: true,
+                        constBindings: true,
+                        objectShorthand: true,
+                        // prevent: [Symbol.toStringTag]: { value: 'Module' }
+                        symbols: false,
+                      },
+                      hoistTransitiveImports: false,
+                      interop: 'auto',
+                      minifyInternalExports: true,
+                      sourcemap: true,
+                      freeze: false,
+                      esModule: false,
+                      strict: true,
+                    },
+                  }
+                }),
+              ),
+            }
+          },
+        ].map((task) => task()),
+      )
+
+      return tasks.filter(Boolean).map((task) => ({
+        ...task,
+        configs: task.configs.map((rollupConfig) => applyConfig(task.name, mode, rollupConfig)),
+      }))
+    }
+
+    // workers started by browser-like targets use the worker settings — as a classic worker for scripts
+    const workerTargets = { node: 'node', deno: 'deno', bun: 'bun' }
+
+    const bundleWorker = async (target, mode, file) => {
+      const name = path.basename(file).replace(/\.[^.]+$/, '')
+      const tasks = await bundleTasks(mode, [{ outputFile: name, conditions: { default: file } }])
+      const task =
+        tasks.find((task) => task.name === (workerTargets[target] || 'worker')) ||
+        tasks.find((task) => task.name === target)
+
+      const { output, ...inputOptions } = task.configs[0]
+      const bundle = await rollup(inputOptions)
+
+      try {
+        const { output: files } = await bundle.generate({
+          ...output,
+          format: target === 'script' ? 'iife' : output.format,
+          file: undefined,
+          dir: paths.dist,
+          entryFileNames: `_/workers/[name]-[hash]${
+            target !== 'node' ? '.js' : output.format === 'cjs' ? cjsExt : esmChunkExt
+          }`,
+          inlineDynamicImports: true,
+        })
+
+        return { files, watchFiles: bundle.watchFiles }
+      } finally {
+        await bundle.close()
+      }
+    }
+
+    const buildCache =
+      options.cache && !options.watch && createBuildCache(path.resolve(paths.cache, 'bundles'))
+
+    // before the swc plugin adds @swc/helpers
+    const dependencyVersions = buildCache && resolveDependencyVersions(manifest, paths.root)
+
+    // rollup caches of the primary mode by module graph to re-use the parsed and resolved modules
+    // for other targets with the same transform and for the development build
+    const rollupCaches = new Map()
+
+    // targets share a module graph if they strip the types, resolve and mark externals the same way,
+    // the modules are downleveled again for each target (see swc)
+    const graphKey = ({ output, ...inputOptions }) => {
+      const { exportConditions = [], ...resolveOptions } =
+        inputOptions.plugins.find((plugin) => plugin?.name === 'node-resolve')?.api.options || {}
+
+      return serialize({
+        external: inputOptions.external,
+        strip: inputOptions.plugins.find((plugin) => plugin?.name === 'swc')?.api.stripKey,
+        // the conditions, main fields and the browser field — without the mode to share the graph
+        // with the development build, the modules resolved with it are transformed again (see swc)
+        resolve: {
+          ...resolveOptions,
+          exportConditions: exportConditions.filter(
+            (condition) => condition !== 'production' && condition !== 'development',
+          ),
+        },
+      })
+    }
+
+    // everything the rollup and swc options of a task are derived from
+    const taskCacheKey = (name, mode, configs) =>
+      hash(
+        serialize({
+          versions: { distilt: DISTILT_VERSION, rollup: rollupVersion, swc: swcVersion },
+          dependencies: dependencyVersions,
+          workspaceManifest,
+          packageManifest,
+          tsconfig: paths.tsconfig && readFileSync(paths.tsconfig, 'utf8'),
+          config,
+          targets,
+          primaryMode,
+          name,
+          mode,
+          configs,
+        }),
+      )
+
+    const findTask = async (mode, name) =>
+      (await bundleTasks(mode)).find((task) => task.name === name)
+
+    // `"topLevelAwait": "esm"` — bundle the entries using top-level await as es module for Node.js
+    // and drop their require condition; returns false if the error can not be handled this way
+    const bundleNodeModules = (detected) => {
+      const affected = entryPoints.filter(({ outputFile }) =>
+        detected?.entries.includes(outputFile),
+      )
+
+      if (topLevelAwait !== 'esm' || detected?.target !== 'node' || !affected.length) {
+        return false
+      }
+
+      addWarning({
+        code: 'TOP_LEVEL_AWAIT',
+        message: `${detected.message}\nBundling ${affected
+          .map(({ entryPoint }) => entryPoint)
+          .join(', ')} as es module for Node.js without a require condition`,
+      })
+
+      for (const { entryPoint, outputFile } of affected) {
+        esmNodeEntries.add(outputFile)
+
+        const exports = publishManifest.exports[entryPoint]
+
+        exports.node = {
+          import: withTypes
+            ? { types: `./${outputFile}.d.mts`, default: `./${outputFile}.mjs` }
+            : `./${outputFile}.mjs`,
+        }
+
+        if (exports.development) {
+          exports.development.node = { import: toDevelopment(exports.node.import) }
+        }
+      }
+
+      if (publishManifest.exports['.']) {
+        publishManifest.main =
+          resolveExportsTarget(publishManifest.exports['.'].node, ['node', 'require']) ||
+          publishManifest.exports['.'].module
+      }
+
+      return true
+    }
+
+    const generatedBundles = async (mode = primaryMode) => {
+      // the first build of a module graph fills the cache for the others
+      const pendingGraphs = new Map()
+
+      await Promise.all(
+        (
+          await bundleTasks(mode)
+        ).map(async function generateTask({ name, label, configs, fallback }) {
+          time(label)
+
+          // the es module fallback is cached with the key of the initial configs
+          const key = buildCache && (fallback?.key || taskCacheKey(name, mode, configs))
+          const cached = !fallback && buildCache && (await buildCache.restore(key, paths.dist))
+
+          // bundles cached without --stats or the stylesheets are rebuilt to collect them
+          if (cached && cached.stylesheets && (!options.stats || cached.stats)) {
+            bundleNodeModules(cached.topLevelAwait)
+            needsDevelopmentBuild = needsDevelopmentBuild || cached.needsDevelopmentBuild
+            Object.assign(manifest.dependencies, cached.dependencies)
+            Object.entries(cached.nodeExports || {}).forEach(([name, exports]) =>
+              nodeExports.set(name, exports),
+            )
+
+            addFiles(name, cached.files)
+
+            cached.stylesheets.forEach((stylesheet) =>
+              stylesheets.set(`${name}:${mode}:${stylesheet.name}`, stylesheet),
+            )
+
+            if (options.stats) await writeStats(cached.stats)
+
+            return timeEnd(label, `${label} (cached)`)
+          }
+
+          const inputs = new Set()
+          const previousFiles = new Set(files[name])
+          const stats = options.stats && { target: name, mode, chunks: [], dependencies: {} }
+
+          try {
+            await Promise.all(
+              configs.map(async ({ output, ...inputOptions }) => {
+                const graph = graphKey({ output, ...inputOptions })
+
+                if (pendingGraphs.has(graph)) {
+                  await pendingGraphs.get(graph)
+                }
+
+                let graphDone
+                if (!pendingGraphs.has(graph)) {
+                  pendingGraphs.set(graph, new Promise((resolve) => (graphDone = resolve)))
+                }
+
+                const cache = rollupCaches.get(graph)
+
+                // rollup uses the first answer and @rollup/plugin-commonjs answers for all modules
+                const { shouldTransformCachedModule } =
+                  (cache && inputOptions.plugins.find((plugin) => plugin?.name === 'swc')) || {}
+
+                let bundle
+                try {
+                  bundle = await rollup({
+                    ...inputOptions,
+                    cache,
+                    plugins: [
+                      shouldTransformCachedModule && {
+                        name: 'swc-cache',
+                        shouldTransformCachedModule: (info) =>
+                          shouldTransformCachedModule(info) || null,
+                      },
+                      ...inputOptions.plugins,
+                      stats && bundleStats(stats, paths.root),
+                    ],
+                  })
+
+                  if (mode === primaryMode) rollupCaches.set(graph, bundle.cache)
+                } finally {
+                  graphDone?.()
+                }
+
+                const { output: emitted } = await bundle.write(output)
+
+                // without the query of imports like `./logo.svg?url`
+                bundle.watchFiles.forEach((file) => inputs.add(file.replace(/\?.*$/, '')))
+
+                addFiles(
+                  name,
+                  emitted.map(({ fileName }) => fileName),
+                )
+
+                await bundle.close()
+              }),
+            )
+          } catch (error) {
+            if (!bundleNodeModules(error.topLevelAwait)) throw error
+
+            return generateTask({
+              ...(await findTask(mode, name)),
+              fallback: { key, topLevelAwait: error.topLevelAwait },
+            })
+          }
+
+          if (stats) await writeStats(stats)
+
+          if (buildCache) {
+            await buildCache.save(key, paths.dist, {
+              inputs: [...inputs],
+              // including the files written by plugins like the esm wrapper
+              files: (files[name] || []).filter((fileName) => !previousFiles.has(fileName)),
+              needsDevelopmentBuild,
+              topLevelAwait: fallback?.topLevelAwait,
+              dependencies: manifest.dependencies,
+              nodeExports:
+                name === 'node' && mode === primaryMode
+                  ? Object.fromEntries(nodeExports)
+                  : undefined,
+              stats,
+              stylesheets: [...stylesheets.values()].filter(
+                (stylesheet) => stylesheet.target === name && stylesheet.mode === mode,
+              ),
+            })
+          }
+
+          timeEnd(label)
+        }),
+      )
+    }
+
+    const writeStylesheets = async (mode) => {
+      const suffix = mode === primaryMode ? '' : '.dev'
+
+      for (const { entryPoint, outputFile } of entryPoints) {
+        const [stylesheet] = [...stylesheets.values()]
+          .filter((stylesheet) => stylesheet.mode === mode && stylesheet.name === outputFile)
+          .sort((a, b) => styleTargets.indexOf(a.target) - styleTargets.indexOf(b.target))
+
+        if (!stylesheet) continue
+
+        const fileName = `${outputFile}${suffix}.css`
+
+        await fs.writeFile(path.resolve(paths.dist, fileName), stylesheet.css)
+
+        addFiles('style', [fileName])
+
+        if (mode === primaryMode) {
+          publishManifest.exports[entryPoint].style = `./${fileName}`
+          publishManifest.exports[`./${outputFile}.css`] = `./${fileName}`
+        }
+      }
+    }
+
+    const writeStats = async (stats) => {
+      const file = path.resolve(
+        paths.dist,
+        '.distilt/stats',
+        `${stats.target}${stats.mode === primaryMode ? '' : '.dev'}`,
+      )
+
+      await fs.mkdir(path.dirname(file), { recursive: true })
+      await fs.writeFile(`${file}.json`, JSON.stringify(stats, null, 2))
+
+      if (options.stats === 'html') {
+        await fs.writeFile(`${file}.html`, statsToHTML(stats))
+      }
+    }
+
+    // Resolves once the initial build is done; afterwards only the affected configs are rebuilt.
+    // After an error handled by bundleNodeModules the task returned by `restart` is watched instead
+    const watchConfigs = (label, configs, restart) =>
+      new Promise((resolve) => {
+        time(label)
+
+        const watcher = watch(
+          configs.map((config) => ({ ...config, watch: { clearScreen: false } })),
+        )
+
+        teardown.push(() => watcher.close())
+
+        let initial = true
+        let restarting = false
+
+        watcher.on('event', (event) => {
+          switch (event.code) {
+            case 'BUNDLE_END': {
+              event.result.close()
+
+              if (!initial) {
+                logger.log(`${label.replace('Generated', 'Rebuilt')}: ${event.duration}ms`)
+              }
+
+              break
+            }
+
+            case 'ERROR': {
+              event.result?.close()
+
+              if (restart && bundleNodeModules(event.error.topLevelAwait)) {
+                restarting = true
+              } else {
+                logger.error(event.error)
+              }
+
+              break
+            }
+
+            case 'END': {
+              if (restarting) {
+                const wasInitial = initial
+
+                watcher.close()
+
+                restart()
+                  .then((task) => watchConfigs(task.label, task.configs, restart))
+                  .then(() => (wasInitial ? resolve() : writeManifest().then(onRebuild)))
+                  .catch((error) => logger.error(error))
+              } else if (initial) {
+                initial = false
+                timeEnd(label)
+                resolve()
+              } else {
+                onRebuild()
+              }
+            }
+          }
+        })
+      })
+
+    let watchingDevelopment = false
+
+    const watchDevelopmentBundles = async () => {
+      if (watchingDevelopment || primaryMode === 'development' || !withDevelopmentBuild()) return
+
+      watchingDevelopment = true
+
+      addDevelopmentExports()
+
+      await Promise.all(
+        (
+          await bundleTasks('development')
+        ).map(({ name, label, configs }) =>
+          watchConfigs(label, configs, () => findTask('development', name)),
+        ),
+      )
+
+      await writeStylesheets('development')
+      await writeManifest()
+    }
+
+    // a changed source may have started to import `distilt/env`
+    const onRebuild = () => {
+      Promise.all([
+        writeStylesheets(primaryMode),
+        watchingDevelopment && writeStylesheets('development'),
+        watchDevelopmentBundles(),
+      ]).catch((error) => logger.error(error))
+    }
+
+    const watchBundles = async () => {
+      await Promise.all(
+        (
+          await bundleTasks(primaryMode)
+        ).map(({ name, label, configs }) =>
+          watchConfigs(label, configs, () => findTask(primaryMode, name)),
+        ),
+      )
+
+      await writeStylesheets(primaryMode)
+
+      // the node declarations depend on the exports of the node bundles
+      await Promise.all([
+        watchDevelopmentBundles(),
+        withTypes &&
+          (async () => {
+            await watchConfigs(
+              'Generated typescript bundles',
+              await Promise.all(
+                entryPoints.flatMap((entry) =>
+                  [...entry.declarations.bundles].map(async ([source, dtsFile]) => {
+                    const config = await typesBundleConfig(
+                      source,
+                      path.resolve(paths.dist, dtsFile),
+                    )
+
+                    if (
+                      !publishManifest.exports[entry.entryPoint].node ||
+                      dtsFile !== entry.declarations.node
+                    ) {
+                      return config
+                    }
+
+                    return {
+                      ...config,
+                      plugins: [
+                        ...config.plugins,
+                        { name: 'node-types', writeBundle: () => writeNodeTypes(entry) },
+                      ],
+                    }
+                  }),
+                ),
+              ),
+            )
+          })(),
+      ])
+
+      await writeManifest()
+    }
+
+    // the declarations are the same for development
+    const toDevelopment = (target) =>
+      target && typeof target === 'object'
+        ? { ...target, default: target.default.replace(/\.([cm]?js|css)$/, '.dev.$1') }
+        : target?.replace(/\.([cm]?js|css)$/, '.dev.$1')
+
+    const addDevelopmentExports = () => {
+      for (const { entryPoint } of entryPoints) {
+        publishManifest.exports[entryPoint].development = {
+          style: toDevelopment(publishManifest.exports[entryPoint].style),
+
+          bun: toDevelopment(publishManifest.exports[entryPoint].bun),
+
+          'edge-light': toDevelopment(publishManifest.exports[entryPoint]['edge-light']),
+
+          workerd: toDevelopment(publishManifest.exports[entryPoint].workerd),
+
+          'react-native': toDevelopment(publishManifest.exports[entryPoint]['react-native']),
+
+          // used by bundlers — compatible with current Spec and stage 4 proposals
+          esnext: toDevelopment(publishManifest.exports[entryPoint].esnext),
+
+          deno: toDevelopment(publishManifest.exports[entryPoint].deno),
+
+          // used by bundlers
+          module: toDevelopment(publishManifest.exports[entryPoint].module),
+
+          worker: toDevelopment(publishManifest.exports[entryPoint].worker),
+
+          // for bundlers and jsbpm.dev
+          browser: toDevelopment(publishManifest.exports[entryPoint].browser),
+
+          // for direct script usage
+          script: toDevelopment(publishManifest.exports[entryPoint].script),
+
+          // for AMD loaders and CDNs
+          umd: toDevelopment(publishManifest.exports[entryPoint].umd),
+
+          // Node.js
+          node: publishManifest.exports[entryPoint].node?.import
+            ? {
+                // nodejs esm wrapper
+                import: toDevelopment(publishManifest.exports[entryPoint].node.import),
+                require: toDevelopment(publishManifest.exports[entryPoint].node.require),
+              }
+            : toDevelopment(publishManifest.exports[entryPoint].node),
+
+          types:
+            publishManifest.exports[entryPoint].node && publishManifest.exports[entryPoint].types,
+
+          default: toDevelopment(publishManifest.exports[entryPoint].default),
+        }
+      }
+    }
+
+    if (options.watch) {
+      return watchBundles()
+    }
+
+    await Promise.all([
+      (async () => {
+        await generatedBundles(primaryMode)
+        await writeStylesheets(primaryMode)
+
+        if (primaryMode !== 'development' && withDevelopmentBuild()) {
+          addDevelopmentExports()
+
+          await generatedBundles('development')
+          await writeStylesheets('development')
+        }
+
+        const readFile = async (file, isCJS) => {
+          // minify to remove all comments
+          const output = await minify(readFileSync(path.resolve(paths.dist, file), 'utf8'), {
+            // https://github.com/swc-project/swc/blob/main/crates/swc_ecma_minifier/src/option/terser.rs#L429
+            // es modules may use top-level await
+            module: !isCJS,
+            ecma: 2022,
+            mangle: false,
+            compress: false,
+            format: { comments: false, ecma: 2022 },
+            sourceMap: false,
+          })
+
+          return output.code
+        }
+
+        const createFacade = async (from, to, isCJS = false) => {
+          const toFile = path.resolve(paths.dist, to)
+          const fromFile = path.resolve(paths.dist, from)
+
+          const target = path.relative(path.dirname(fromFile), toFile)
+          const relative = target[0] === '.' ? target : `./${target}`
+
+          // like the declarations referenced by deno bundles
+          const [directives = ''] =
+            readFileSync(fromFile, 'utf8').match(
+              /^(?:(?:\/\/\/ <reference [^>]*\/>|\/\/ @ts-self-types="[^"]*")\s*)+/,
+            ) || []
+
+          let content
+          if (isCJS) {
+            content = `module.exports = require(${JSON.stringify(relative)});`
+          } else {
+            const { parse } = await import('es-module-lexer')
+            const { 1: exports, 2: facade } = await parse(readFileSync(toFile, 'utf8'))
+
+            content =
+              [
+                (facade || exports.some(({ n }) => n && n !== 'default')) &&
+                  `export * from ${JSON.stringify(relative)};`,
+                exports.some(({ n }) => n === 'default') &&
+                  `export { default } from ${JSON.stringify(relative)};`,
+              ]
+                .filter(Boolean)
+                .join('\n') || `import ${JSON.stringify(relative)};`
+          }
+
+          await fs.writeFile(fromFile, directives + content)
+          await fs.unlink(`${fromFile}.map`)
+        }
+
+        if (!options.dedupe) return
+
+        time('De-duplicated entry points based on content')
+
+        // the files of the bundle targets that can be replaced by a facade
+        const bundled = new Set(
+          Object.entries(files)
+            .filter(([target]) => target !== 'script' && target !== 'types')
+            .flatMap(([, fileNames]) => fileNames)
+            .filter((fileName) => /\.[cm]?js$/.test(fileName)),
+        )
+
+        // entry points are only replaced by the same entry point of another target or mode,
+        // chunks by any other chunk
+        const candidates = new Map(
+          [...bundled]
+            .filter((fileName) => fileName.startsWith('_/'))
+            .map((fileName) => [fileName, { scope: '_/', development: false }]),
+        )
+
+        walkExports(publishManifest.exports, (value, { entryPoint, conditions }) => {
+          const fileName = typeof value === 'string' && value.replace(/^\.\//, '')
+
+          if (fileName && bundled.has(fileName)) {
+            candidates.set(fileName, {
+              scope: entryPoint,
+              development: conditions.includes('development'),
+            })
+          }
+        })
+
+        // the canonical file of a group: production before development, then in this order
+        const preferredTargets = [
+          'module',
+          'esnext',
+          'browser',
+          'worker',
+          'deno',
+          'node',
+          'edge',
+          'react-native',
+          'bun',
+        ]
+        const targetIndex = (fileName) => {
+          const index = preferredTargets.findIndex((target) => files[target]?.includes(fileName))
+          return index === -1 ? preferredTargets.length : index
+        }
+
+        const groups = new Map()
+
+        // normalize and hash each file only once
+        await Promise.all(
+          [...candidates].map(async ([fileName, { scope, development }]) => {
+            const isCJS = Boolean(files.node?.includes(fileName) && fileName.endsWith(cjsExt))
+            const key = hash(serialize({ scope, isCJS, code: await readFile(fileName, isCJS) }))
+
+            if (!groups.has(key)) groups.set(key, [])
+
+            groups.get(key).push({ fileName, isCJS, development, order: targetIndex(fileName) })
+          }),
+        )
+
+        const fileSize = (fileName) =>
+          fs.stat(path.resolve(paths.dist, fileName)).then(
+            ({ size }) => size,
+            () => 0,
+          )
+
+        let deduplicated = 0
+        let saved = 0
+
+        for (const group of groups.values()) {
+          const [canonical, ...duplicates] = group.sort(
+            (a, b) =>
+              a.development - b.development ||
+              a.order - b.order ||
+              a.fileName.localeCompare(b.fileName),
+          )
+
+          for (const { fileName, isCJS } of duplicates) {
+            const size = (await fileSize(fileName)) + (await fileSize(`${fileName}.map`))
+
+            await createFacade(fileName, canonical.fileName, isCJS)
+
+            deduplicated += 1
+            saved += size - (await fileSize(fileName))
+
+            for (const target of Object.keys(files)) {
+              files[target] = files[target].filter((file) => file !== `${fileName}.map`)
+            }
+          }
+        }
+
+        timeEnd(
+          'De-duplicated entry points based on content',
+          `De-duplicated ${deduplicated} files based on content (${formatBytes(saved)} saved)`,
+        )
+      })(),
+      withTypes &&
+        (async () => {
+          time('Generated typescript bundles')
+          await Promise.all(
+            entryPoints.flatMap(({ declarations }) =>
+              [...declarations.bundles].map(([source, dtsFile]) =>
+                generateTypesBundle(source, path.resolve(paths.dist, dtsFile)),
+              ),
+            ),
+          )
+          timeEnd('Generated typescript bundles')
+        })(),
+    ])
+
+    if (withTypes) {
+      await Promise.all(
+        entryPoints
+          .filter(({ entryPoint }) => publishManifest.exports[entryPoint].node)
+          .map(writeNodeTypes),
+      )
+    }
+
+    await writeManifest()
+
+    if (jsr) {
+      await writeJsrManifest(entryPoints)
+    }
+  }
+
+  async function verifyExports() {
+    time('Verified exports')
+
+    const problems = []
+    const loadable = []
+
+    walkExports(publishManifest.exports, (value, { conditions, label }) => {
+      // null excludes a subpath and patterns can not be resolved without a request
+      if (typeof value !== 'string' || value.includes('*')) return
+
+      if (!isFileReadable(path.resolve(paths.dist, value))) {
+        problems.push(`${label}: ${value} does not exist`)
+      } else if (conditions.includes('node') && !conditions.includes('types')) {
+        const method =
+          conditions.find((condition) => /^(import|require)$/.test(condition)) ||
+          (value.endsWith('.mjs') ? 'import' : 'require')
+
+        if (method) loadable.push({ label, file: value, method })
+      }
+    })
+
+    // the dependencies are looked up from the output directory upwards — outside of the package
+    // root they are not found (NODE_PATH only applies to require)
+    const relativeDist = path.relative(paths.root, paths.dist)
+    const imported = { ...publishManifest.dependencies, ...publishManifest.peerDependencies }
+    const unresolvable =
+      Object.keys(imported).length > 0 &&
+      (relativeDist.startsWith('..') || path.isAbsolute(relativeDist))
+
+    if (unresolvable && loadable.length) {
+      addWarning({
+        code: 'VERIFY_SKIPPED',
+        message:
+          'Skipped loading the node conditions — the dependencies can not be resolved from an' +
+          ' output directory outside of the package root',
+      })
+    }
+
+    // load each file in a fresh process to not share the module cache between them
+    for (const { label, file, method } of unresolvable ? [] : loadable) {
+      const { stderr, exitCode, timedOut } = await execa(
+        process.execPath,
+        [
+          '--input-type=module',
+          '--eval',
+          `
+            import { createRequire } from 'node:module'
+            import { pathToFileURL } from 'node:url'
+
+            const [method, file] = process.argv.slice(1)
+            const fail = (error) => {
+              console.error((error && error.message) || error)
+              process.exit(1)
+            }
+
+            process.on('uncaughtException', fail)
+
+            try {
+              method === 'require'
+                ? createRequire(pathToFileURL(process.cwd() + '/'))(file)
+                : await import(pathToFileURL(file))
+            } catch (error) {
+              fail(error)
+            }
+
+            process.exit()
+          `,
+          method,
+          file,
+        ],
+        { cwd: paths.dist, reject: false, timeout: 30000 },
+      )
+
+      if (exitCode !== 0) {
+        problems.push(
+          `${label}: ${method}(${JSON.stringify(file)}) failed — ${
+            timedOut ? 'did not finish within 30s' : stderr.trim()
+          }`,
+        )
+      }
+    }
+
+    if (problems.length) {
+      throw new Error(
+        `Invalid exports in ${path.relative(paths.current, paths.dist) || '.'}/package.json:\n` +
+          problems.map((problem) => `  - ${problem}`).join('\n'),
+      )
+    }
+
+    timeEnd('Verified exports')
+  }
+
+  /**
+   * The output file and all files it imports statically — and dynamically if requested
+   */
+  async function collectFiles(file, { dynamic = false } = {}, seen = new Set()) {
+    if (seen.has(file) || !isFileReadable(path.resolve(paths.dist, file))) return seen
+
+    seen.add(file)
+
+    const { init, parse } = await import('es-module-lexer')
+    await init
+
+    const content = await fs.readFile(path.resolve(paths.dist, file), 'utf8')
+
+    let specifiers = []
+    try {
+      specifiers = parse(content)[0]
+        .filter(({ d, n }) => (dynamic || d === -1) && n)
+        .map(({ n }) => n)
+    } catch {
+      // not an es module
+    }
+
+    for (const [, , specifier] of content.matchAll(/\brequire\((["'])(\.[^"']+)\1\)/g)) {
+      specifiers.push(specifier)
+    }
+
+    for (const specifier of specifiers) {
+      if (specifier[0] === '.') {
+        await collectFiles(path.posix.join(path.posix.dirname(file), specifier), { dynamic }, seen)
+      }
+    }
+
+    return seen
+  }
+
+  async function writeJsrManifest(entryPoints) {
+    const name = jsr.name || manifest.name
+
+    if (!/^@[a-z0-9-]+\/[a-z0-9-]+$/.test(name)) {
+      throw new Error(
+        `jsr packages need a scoped name — add "publishConfig": { "jsr": { "name": "@<scope>/${name
+          .split('/')
+          .pop()}" } }`,
+      )
+    }
+
+    // the sources are published from the package root, the deno bundles from the output directory
+    const root = jsr.source ? paths.root : paths.dist
+    const jsrFile = path.resolve(root, jsr.file)
+
+    time(`Generated ${path.relative(paths.current, jsrFile)}`)
+
+    const exports = {}
+    // copied to the output directory as well
+    const include = new Set(
+      await globby(['{changes,changelog,history,license,licence,notice,readme}?(.md|.txt)'], {
+        cwd: paths.root,
+        caseSensitiveMatch: false,
+      }),
+    )
+    const problems = []
+
+    for (const { entryPoint, conditions } of entryPoints) {
+      if (jsr.source) {
+        const source = conditions.deno || conditions.browser || conditions.default
+
+        if (!source) continue
+
+        const file = path.relative(paths.root, source).split(path.sep).join('/')
+
+        exports[entryPoint] = `./${file}`
+        include.add(file.includes('/') ? `${file.slice(0, file.indexOf('/'))}/` : file)
+
+        if (!/\.[cm]?tsx?$/.test(file) && !/@ts-self-types="/.test(readFileSync(source, 'utf8'))) {
+          problems.push(`${entryPoint}: ./${file} has no explicit types (@ts-self-types)`)
+        }
+
+        continue
+      }
+
+      const { deno } = publishManifest.exports[entryPoint]
+      const file = (typeof deno === 'object' ? deno?.default : deno)?.slice(2)
+
+      if (!file) {
+        problems.push(`${entryPoint}: has no deno bundle`)
+        continue
+      }
+
+      exports[entryPoint] = `./${file}`
+
+      for (const imported of await collectFiles(file, { dynamic: true })) {
+        include.add(imported)
+
+        if (isFileReadable(path.resolve(paths.dist, `${imported}.map`))) {
+          include.add(`${imported}.map`)
+        }
+      }
+
+      const [, types] =
+        readFileSync(path.resolve(paths.dist, file), 'utf8').match(/@ts-self-types="([^"]+)"/) || []
+
+      const declaration = types && path.posix.join(path.posix.dirname(file), types)
+
+      if (!declaration || !isFileReadable(path.resolve(paths.dist, declaration))) {
+        problems.push(`${entryPoint}: ./${file} has no explicit types (@ts-self-types)`)
+      } else {
+        include.add(declaration)
+      }
+    }
+
+    // emitted assets and workers are referenced by url
+    for (const directory of ['_/assets', '_/workers']) {
+      if (!jsr.source && existsSync(path.resolve(paths.dist, directory))) {
+        include.add(`${directory}/`)
+      }
+    }
+
+    if (problems.length) {
+      throw new Error(
+        `Invalid ${path.relative(paths.current, jsrFile)}:\n` +
+          problems.map((problem) => `  - ${problem}`).join('\n'),
+      )
+    }
+
+    await fs.writeFile(
+      jsrFile,
+      JSON.stringify(
+        {
+          name,
+          version: manifest.version,
+          exports,
+          // the sources import the dependencies with bare specifiers
+          imports: jsr.source ? npmImports() : undefined,
+          publish: {
+            include: [...include, ...(jsr.include || [])],
+            exclude: jsr.source ? [...TEST_FILES, ...(jsr.exclude || [])] : jsr.exclude,
+          },
+        },
+        null,
+        2,
+      ),
+    )
+
+    timeEnd(`Generated ${path.relative(paths.current, jsrFile)}`)
+  }
+
+  async function reportSizes() {
+    const measure = async (file) => {
+      const contents = await Promise.all(
+        [...(await collectFiles(path.posix.normalize(file)))].map((file) =>
+          fs.readFile(path.resolve(paths.dist, file)),
+        ),
+      )
+
+      const content = Buffer.concat(contents)
+
+      return {
+        file,
+        raw: content.length,
+        gzip: (await promisify(zlib.gzip)(content)).length,
+        brotli: (await promisify(zlib.brotliCompress)(content)).length,
+      }
+    }
+
+    const measurements = []
+
+    walkExports(publishManifest.exports, (value, { entryPoint, conditions }) => {
+      if (
+        typeof value === 'string' &&
+        /\.[cm]?js$/.test(value) &&
+        !conditions.includes('development') &&
+        !conditions.includes('types') &&
+        // default is usually the same file as another target
+        !measurements.some(
+          (measurement) => measurement.entryPoint === entryPoint && measurement.file === value,
+        ) &&
+        isFileReadable(path.resolve(paths.dist, value))
+      ) {
+        measurements.push({
+          entryPoint,
+          // node.import instead of node.import.default
+          target: conditions.filter((condition) => condition !== 'default').join('.') || 'default',
+          file: value,
+        })
+      }
+    })
+
+    const sizes = {}
+
+    for (const { entryPoint, target, file } of measurements) {
+      sizes[entryPoint] = sizes[entryPoint] || {}
+      sizes[entryPoint][target] = await measure(file)
+    }
+
+    const budgets = manifest.publishConfig?.budgets || {}
+    const problems = []
+    const rows = [['entry', 'target', 'raw', 'gzip', 'brotli', 'change (gzip)']]
+
+    for (const [entryPoint, targets] of Object.entries(sizes)) {
+      for (const [target, size] of Object.entries(targets)) {
+        const previous = previousSizes?.[entryPoint]?.[target]
+        const change = previous ? size.gzip - previous.gzip : undefined
+
+        rows.push([
+          entryPoint,
+          target,
+          formatBytes(size.raw),
+          formatBytes(size.gzip),
+          formatBytes(size.brotli),
+          change === undefined
+            ? 'new'
+            : change
+            ? `${change > 0 ? '+' : '-'}${formatBytes(Math.abs(change))}`
+            : '',
+        ])
+
+        // the budget of an entry point applies to all targets unless a target has its own
+        const budget = {
+          ...budgets[entryPoint],
+          ...budgets[entryPoint]?.[target.split('.')[0]],
+        }
+
+        for (const compression of ['raw', 'gzip', 'brotli']) {
+          if (budget[compression] == null) continue
+
+          const limit = parseBytes(budget[compression])
+
+          if (size[compression] > limit) {
+            problems.push(
+              `${entryPoint} [${target}]: ${formatBytes(
+                size[compression],
+              )} ${compression} exceeds the budget of ${formatBytes(limit)}`,
             )
+          }
+        }
+      }
+    }
+
+    const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => row[column].length)))
+
+    logger.log(
+      `Sizes of ${manifest.name}@${manifest.version}:\n` +
+        rows
+          .map((row) =>
+            row
+              .map((cell, column) =>
+                column < 2 ? cell.padEnd(widths[column]) : cell.padStart(widths[column]),
+              )
+              .join('  ')
+              .trimEnd(),
+          )
+          .map((line) => `  ${line}`)
+          .join('\n'),
+    )
+
+    await fs.mkdir(path.dirname(sizesFile), { recursive: true })
+    await fs.writeFile(sizesFile, JSON.stringify(sizes, null, 2))
+
+    if (problems.length) {
+      throw new Error(
+        `Size budgets exceeded in ${path.relative(paths.current, paths.dist) || '.'}:\n` +
+          problems.map((problem) => `  - ${problem}`).join('\n'),
+      )
+    }
+
+    return sizes
+  }
+
+  async function lintManifest() {
+    const published = JSON.parse(JSON.stringify(publishManifest, omitComments))
+    const findings = []
+
+    const report = (code, message) => findings.push({ code, message })
+
+    walkExports(published.exports, (value, { label }) => {
+      if (!value || typeof value !== 'object') return
+
+      const conditions = Object.keys(value)
+
+      // conditions with their own nested types (like node.import) may come first
+      const hiding = conditions
+        .slice(0, Math.max(conditions.indexOf('types'), 0))
+        .filter(
+          (condition) =>
+            ['import', 'require', 'node', 'default'].includes(condition) &&
+            !hasNestedTypes(value[condition]),
+        )
+
+      if (hiding.length) {
+        report(
+          'TYPES_NOT_FIRST',
+          `${label}: "types" must come before ${hiding
+            .map((condition) => JSON.stringify(condition))
+            .join(
+              ', ',
+            )} — TypeScript uses the first matching condition and does not find the declarations`,
+        )
+      }
+
+      if (conditions.includes('default') && conditions[conditions.length - 1] !== 'default') {
+        report(
+          'DEFAULT_NOT_LAST',
+          `${label}: "default" must be the last condition — ${conditions
+            .slice(conditions.indexOf('default') + 1)
+            .map((condition) => JSON.stringify(condition))
+            .join(', ')} after it will never be matched`,
+        )
+      }
+
+      if (conditions.includes('development')) {
+        const development = value.development
+
+        // only a target that always matches hides the conditions after it
+        if (
+          typeof development === 'string' ||
+          (development && typeof development === 'object' && 'default' in development)
+        ) {
+          const shadowed = conditions
+            .slice(conditions.indexOf('development') + 1)
+            .filter(
+              (condition) =>
+                condition !== 'default' &&
+                !(typeof development === 'object' && condition in development),
+            )
+
+          if (shadowed.length) {
+            report(
+              'DEVELOPMENT_SHADOWS',
+              `${label}: "development" shadows ${shadowed
+                .map((condition) => JSON.stringify(condition))
+                .join(
+                  ', ',
+                )} — resolvers using the "development" condition never reach them; add them to "development" or remove its "default"`,
+            )
+          }
+        }
+      }
+    })
+
+    for (const field of ['main', 'module', 'unpkg', 'jsdelivr', 'types']) {
+      const file = published[field]
+
+      if (typeof file === 'string' && !isFileReadable(path.resolve(paths.dist, file))) {
+        report('MISSING_FILE', `"${field}": ${file} does not exist in the output directory`)
+      }
+    }
+
+    // Node.js decides by the package type how a .js file is loaded
+    const nodeTargets = new Map()
+    const addNodeTarget = (file, label) => {
+      file = './' + path.posix.normalize(file)
+
+      if (!nodeTargets.has(file)) nodeTargets.set(file, label)
+    }
+
+    if (typeof published.main === 'string') {
+      addNodeTarget(published.main, '"main"')
+    }
+
+    walkExports(published.exports, (value, { entryPoint, conditions }) => {
+      if (conditions.length) return
+
+      for (const resolveConditions of [
+        ['node', 'import'],
+        ['node', 'require'],
+        ['development', 'node', 'import'],
+        ['development', 'node', 'require'],
+      ]) {
+        const file = resolveExportsTarget(value, resolveConditions)
+
+        if (typeof file === 'string') {
+          addNodeTarget(file, `${entryPoint} [${resolveConditions.join(', ')}]`)
+        }
+      }
+    })
+
+    const { parse } = await import('es-module-lexer')
+
+    for (const [file, label] of nodeTargets) {
+      const filename = path.resolve(paths.dist, file)
+
+      if (!file.endsWith('.js') || !isFileReadable(filename)) continue
+
+      const content = await fs.readFile(filename, 'utf8')
+
+      let isESM
+      try {
+        const [imports, exports] = await parse(content)
+        // static imports and import.meta are only allowed in es modules
+        isESM = exports.length > 0 || imports.some(({ d }) => d === -1 || d === -2)
+      } catch {
+        continue
+      }
+
+      if (
+        type === 'module' &&
+        !isESM &&
+        /\b(?:module\.exports|exports\.\w+|require\()/.test(content)
+      ) {
+        report(
+          'TYPE_MISMATCH',
+          `${label}: ${file} is CommonJS but the package "type" is "module" — Node.js loads it as an es module; use the .cjs extension`,
+        )
+      } else if (type === 'commonjs' && isESM) {
+        report(
+          'TYPE_MISMATCH',
+          `${label}: ${file} is an es module but the package "type" is "commonjs" — Node.js loads it as CommonJS; use the .mjs extension`,
+        )
+      }
+    }
+
+    if (!findings.length) return
+
+    if (options.strict) {
+      throw new Error(
+        `Found ${findings.length} problem${findings.length > 1 ? 's' : ''} in ${
+          path.relative(paths.current, paths.dist) || '.'
+        }/package.json:\n` + findings.map(({ message }) => `  - ${message}`).join('\n'),
+      )
+    }
+
+    findings.forEach(addWarning)
+  }
+
+  async function generateTypesBundle(inputFile, dtsFile) {
+    const { output, ...inputOptions } = await typesBundleConfig(inputFile, dtsFile)
+
+    const bundle = await rollup(inputOptions)
+
+    const { output: emitted } = await bundle.write(output)
+
+    addFiles(
+      'types',
+      emitted.map(({ fileName }) => path.relative(paths.dist, path.resolve(paths.dist, fileName))),
+    )
+
+    await bundle.close()
+  }
+
+  async function typesBundleConfig(inputFile, dtsFile) {
+    const { typesDirectory, declarationFile, resolveDeclaration } = await declarationsPromise
+
+    return {
+      input: declarationFile(inputFile),
+      plugins: [
+        {
+          // rollup-plugin-dts treats everything below node_modules — like the cache — as external
+          name: 'cached-declarations',
+          resolveId(source, importer) {
+            if (source[0] === '.' && importer?.startsWith(typesDirectory + path.sep)) {
+              // the url of emitted assets — these files are not part of the declarations
+              if (source.endsWith('?url') || assetExtensions.test(source)) {
+                return '\0distilt-asset-url.d.ts'
+              }
+
+              if (/\.wasm(\?init)?$/.test(source)) {
+                return '\0distilt-wasm-init.d.ts'
+              }
+
+              // stylesheets are only imported for their side effects
+              if (/\.css$/.test(source)) {
+                return '\0distilt-style.d.ts'
+              }
+
+              return resolveDeclaration(source, importer)
+            }
+          },
+          load(id) {
+            if (id === '\0distilt-style.d.ts') {
+              return 'export {}\n'
+            }
+
+            if (id === '\0distilt-asset-url.d.ts') {
+              return 'declare const url: string\nexport default url\n'
+            }
+
+            if (id === '\0distilt-wasm-init.d.ts') {
+              return (
+                'declare function init(imports?: WebAssembly.Imports): Promise<WebAssembly.Instance>\n' +
+                'export default init\n'
+              )
+            }
+          },
+        },
+        dts(),
+      ],
+      onwarn(warning) {
+        if (warning.code === 'CIRCULAR_DEPENDENCY') {
+          return
+        }
+
+        if (warning.code === 'UNRESOLVED_IMPORT' && warning.source?.startsWith('node:')) {
+          throw new Error(warning.message)
+        }
+
+        // Collect everything else
+        addWarning(warning)
+      },
+      output: {
+        format: 'esm',
+        file: dtsFile,
+        sourcemap: true,
+        freeze: false,
+        esModule: false,
+        exports: 'auto',
+        generatedCode: 'es2015',
+      },
+    }
+  }
+
+  async function generateTypescriptDeclarations() {
+    let ts
+    try {
+      // prefer the typescript version of the package
+      ts = createRequire(path.resolve(paths.root, 'package.json'))('typescript')
+    } catch {
+      ts = createRequire(import.meta.url)('typescript')
+    }
+
+    // kept between builds to only emit the declarations of changed files
+    const typesDirectory = path.resolve(paths.cache, 'types')
+    const buildInfoFile = path.resolve(paths.cache, 'types.tsbuildinfo')
+
+    // the build info would claim up to date declarations that do not exist anymore
+    if (!existsSync(typesDirectory)) {
+      await (fs.rm || fs.rmdir)(buildInfoFile, { force: true })
+    }
+
+    // not written to disk — the host answers reads for this file from memory
+    const configFile = path.resolve(path.dirname(paths.tsconfig), 'tsconfig.dist.json')
+    const config = JSON.stringify({
+      extends: './' + path.basename(paths.tsconfig),
+      exclude: TEST_FILES,
+      compilerOptions: {
+        target: 'ESNext',
+        module: 'ESNext',
+        declaration: true,
+        emitDeclarationOnly: true,
+        noEmit: false,
+        incremental: true,
+        composite: false,
+        tsBuildInfoFile: buildInfoFile,
+        outDir: typesDirectory,
+        declarationDir: typesDirectory,
+      },
+    })
+
+    const system = {
+      ...ts.sys,
+      fileExists: (file) => file === configFile || ts.sys.fileExists(file),
+      readFile: (file, encoding) =>
+        file === configFile ? config : ts.sys.readFile(file, encoding),
+    }
+
+    const formatHost = {
+      getCanonicalFileName: (fileName) =>
+        ts.sys.useCaseSensitiveFileNames ? fileName : fileName.toLowerCase(),
+      getCurrentDirectory: () => paths.root,
+      getNewLine: () => ts.sys.newLine,
+    }
+
+    const parseConfig = () => {
+      const diagnostics = []
+      const commandLine = ts.getParsedCommandLineOfConfigFile(configFile, undefined, {
+        ...system,
+        onUnRecoverableConfigFileDiagnostic: (diagnostic) => diagnostics.push(diagnostic),
+      })
+
+      if (!commandLine || diagnostics.length || commandLine.errors.length) {
+        throw new Error(
+          ts.formatDiagnostics([...diagnostics, ...(commandLine?.errors || [])], formatHost),
+        )
+      }
+
+      return commandLine
+    }
+
+    let commandLine = parseConfig()
+
+    // the same mapping from source to declaration file as tsc uses
+    const declarationFile = (inputFile) => {
+      const dtsFile = ts
+        .getOutputFileNames(commandLine, inputFile, !ts.sys.useCaseSensitiveFileNames)
+        .find((file) => /\.d\.[cm]?ts$/.test(file))
+
+      if (!dtsFile || !existsSync(dtsFile)) {
+        throw new Error(
+          `No declarations for ${path.relative(
+            paths.root,
+            inputFile,
+          )} — is it included in ${path.relative(paths.root, paths.tsconfig)}?`,
+        )
+      }
+
+      return dtsFile
+    }
+
+    const resolveDeclaration = (source, importer) =>
+      ts.resolveModuleName(source, importer, commandLine.options, ts.sys).resolvedModule
+        ?.resolvedFileName
+
+    if (options.watch) {
+      // re-emits only the declarations of changed files on each change
+      await new Promise((resolve, reject) => {
+        const host = ts.createWatchCompilerHost(
+          configFile,
+          undefined,
+          system,
+          ts.createEmitAndSemanticDiagnosticsBuilderProgram,
+          (diagnostic) => logger.error(ts.formatDiagnostic(diagnostic, formatHost).trimEnd()),
+          (diagnostic) => {
+            logger.log(ts.flattenDiagnosticMessageText(diagnostic.messageText, ts.sys.newLine))
+
+            // "Found N errors. Watching for file changes."
+            if (diagnostic.code === 6193 || diagnostic.code === 6194) {
+              try {
+                commandLine = parseConfig()
+                resolve()
+              } catch (error) {
+                reject(error)
+              }
+            }
+          },
+        )
+
+        const watchProgram = ts.createWatchProgram(host)
+
+        teardown.push(() => watchProgram.close())
+      })
+
+      return { typesDirectory, declarationFile, resolveDeclaration }
+    }
+
+    time('Generated typescript declarations')
+
+    const program = ts.createIncrementalProgram({
+      rootNames: commandLine.fileNames,
+      options: commandLine.options,
+      projectReferences: commandLine.projectReferences,
+      configFileParsingDiagnostics: ts.getConfigFileParsingDiagnostics(commandLine),
+    })
+
+    const diagnostics = [
+      ...program.getConfigFileParsingDiagnostics(),
+      ...program.getOptionsDiagnostics(),
+      ...program.getGlobalDiagnostics(),
+      ...program.getSyntacticDiagnostics(),
+      ...program.getSemanticDiagnostics(),
+      ...program.emit().diagnostics,
+    ]
+
+    if (diagnostics.some(({ category }) => category === ts.DiagnosticCategory.Error)) {
+      throw new Error(ts.formatDiagnostics(diagnostics, formatHost))
+    }
+
+    if (diagnostics.length) logger.warn(ts.formatDiagnostics(diagnostics, formatHost))
+
+    timeEnd('Generated typescript declarations')
+
+    return { typesDirectory, declarationFile, resolveDeclaration }
+  }
+}
+
+/**
+ * Build all workspace packages in dependency order
+ *
+ * Packages are built as soon as their workspace dependencies are built, at most `concurrency` at
+ * a time. Dependents of a failed package are skipped.
+ */
+export async function buildWorkspaces({
+  filter,
+  concurrency = os.cpus().length,
+  logger = console,
+  ...options
+} = {}) {
+  const root = searchForWorkspaceRoot(path.resolve(options.cwd || process.cwd()))
+
+  const packages = filterWorkspacePackages(await findWorkspacePackages(root), filter, root)
+
+  if (!packages.length) {
+    throw new Error(`No workspace packages${filter ? ` matching "${filter}"` : ''} in ${root}`)
+  }
+
+  const sorted = sortWorkspacePackages(packages)
+
+  concurrency = Math.max(1, Number(concurrency) || 1)
+
+  logger.log(
+    `Building ${sorted.length} workspace packages: ${sorted.map(({ name }) => name).join(', ')}`,
+  )
+
+  const started = performance.now()
+  const reports = new Map()
+  const queue = [...sorted]
+  const running = new Set()
+
+  const run = async (pkg) => {
+    const start = performance.now()
+    const prefix = `[${pkg.name}]`
+
+    try {
+      const result = await build({
+        ...options,
+        cwd: pkg.root,
+        logger: {
+          log: (message) => logger.log(`${prefix} ${message}`),
+          warn: (message) => logger.warn(`${prefix} ${message}`),
+          error: (error) => logger.error(`${prefix} ${error?.stack || error}`),
+        },
+      })
+
+      reports.set(pkg.name, {
+        ...pkg,
+        status: 'built',
+        duration: performance.now() - start,
+        result,
+      })
+    } catch (error) {
+      reports.set(pkg.name, {
+        ...pkg,
+        status: 'failed',
+        duration: performance.now() - start,
+        error,
+      })
+
+      logger.error(`${prefix} ${error?.stack || error}`)
+    }
+  }
+
+  while (queue.length || running.size) {
+    for (const pkg of [...queue]) {
+      if (running.size >= concurrency) break
+
+      const failed = pkg.dependencies.find(
+        (dependency) => reports.has(dependency) && reports.get(dependency).status !== 'built',
+      )
+
+      if (failed) {
+        queue.splice(queue.indexOf(pkg), 1)
+        reports.set(pkg.name, { ...pkg, status: 'skipped', reason: `${failed} did not build` })
+      } else if (pkg.dependencies.every((dependency) => reports.has(dependency))) {
+        queue.splice(queue.indexOf(pkg), 1)
+
+        const promise = run(pkg).finally(() => running.delete(promise))
+        running.add(promise)
+      }
+    }
+
+    if (running.size) await Promise.race(running)
+  }
+
+  const duration = performance.now() - started
+
+  const summary = sorted.map(({ name }) => reports.get(name))
+
+  logger.log(
+    [
+      `Built workspace packages in ${formatDuration(duration)}:`,
+      ...summary.map(
+        ({ name, status, duration, reason }) =>
+          `  ${status.padEnd(7)} ${name}${
+            duration === undefined ? '' : ` ${formatDuration(duration)}`
+          }${reason ? ` (${reason})` : ''}`,
+      ),
+    ].join('\n'),
+  )
+
+  return {
+    root,
+    packages: summary.map(({ dependencies, ...report }) => report),
+    duration,
+    close: () => Promise.all(summary.map(({ result }) => result?.close())),
+  }
+}
+
+/**
+ * Find the workspace packages defined by `workspaces` in the root `package.json` or by
+ * `pnpm-workspace.yaml`
+ */
+async function findWorkspacePackages(root) {
+  const manifest = JSON.parse(readFileSync(path.resolve(root, 'package.json'), 'utf-8'))
+
+  let patterns = Array.isArray(manifest.workspaces)
+    ? manifest.workspaces
+    : manifest.workspaces?.packages
+
+  const pnpmWorkspace = path.resolve(root, 'pnpm-workspace.yaml')
+
+  if (!patterns && isFileReadable(pnpmWorkspace)) {
+    patterns = parsePnpmWorkspacePackages(readFileSync(pnpmWorkspace, 'utf-8'))
+  }
+
+  if (!patterns?.length) return []
+
+  const manifestFiles = await globby(
+    patterns.map((pattern) =>
+      pattern[0] === '!'
+        ? '!' + path.posix.join(pattern.slice(1), 'package.json')
+        : path.posix.join(pattern, 'package.json'),
+    ),
+    { cwd: root, absolute: true, ignore: ['**/node_modules/**'] },
+  )
+
+  const packages = manifestFiles
+    .map((file) => ({
+      root: path.dirname(file),
+      manifest: JSON.parse(readFileSync(file, 'utf-8')),
+    }))
+    .filter(({ root: packageRoot, manifest }) => manifest.name && packageRoot !== root)
+
+  const names = new Set(packages.map(({ manifest }) => manifest.name))
+
+  return packages.map(({ root, manifest }) => ({
+    name: manifest.name,
+    root,
+    // only workspace packages are relevant for the build order
+    dependencies: Object.keys({
+      ...manifest.dependencies,
+      ...manifest.devDependencies,
+      ...manifest.peerDependencies,
+      ...manifest.optionalDependencies,
+    }).filter((dependency) => dependency !== manifest.name && names.has(dependency)),
+  }))
+}
+
+function parsePnpmWorkspacePackages(content) {
+  // packages:
+  //   - 'packages/*'
+  //   - '!**/test/**'
+  const patterns = []
+
+  let inPackages = false
+
+  for (const line of content.split(/\r?\n/)) {
+    if (/^packages:\s*$/.test(line)) {
+      inPackages = true
+    } else if (inPackages) {
+      const match = line.match(/^\s+-\s*(['"]?)(.+?)\1\s*(?:#.*)?$/)
+
+      if (match) {
+        patterns.push(match[2])
+      } else if (/^\S/.test(line)) {
+        inPackages = false
+      }
+    }
+  }
+
+  return patterns
+}
+
+/**
+ * Select packages by name or directory; a trailing `...` includes their workspace dependencies
+ */
+function filterWorkspacePackages(packages, filter, root) {
+  if (!filter) return packages
 
-            console.timeEnd(`Generated script bundles (${targets.script}) [${mode}]`)
-          },
-        ].map((task) => task()),
-      )
+  const byName = new Map(packages.map((pkg) => [pkg.name, pkg]))
+  const selected = new Set()
+
+  const select = (pkg, withDependencies) => {
+    if (selected.has(pkg)) return
+
+    selected.add(pkg)
+
+    if (withDependencies) {
+      pkg.dependencies.forEach((dependency) => select(byName.get(dependency), true))
     }
+  }
 
-    await Promise.all([
-      (async () => {
-        await generatedBundles('production')
-
-        if (needsDevelopmentBuild) {
-          for (const { entryPoint } of entryPoints) {
-            publishManifest.exports[entryPoint].development = {
-              // used by bundlers — compatible with current Spec and stage 4 proposals
-              esnext: publishManifest.exports[entryPoint].esnext?.replace(
-                /\.([cm]?js)$/,
-                '.dev.$1',
-              ),
+  for (let pattern of Array.isArray(filter) ? filter : filter.split(',')) {
+    pattern = pattern.trim()
 
-              deno: publishManifest.exports[entryPoint].deno?.replace(/\.([cm]?js)$/, '.dev.$1'),
+    const withDependencies = pattern.endsWith('...')
+    const matcher = globToRegExp(withDependencies ? pattern.slice(0, -3) : pattern)
 
-              // used by bundlers
-              module: publishManifest.exports[entryPoint].module?.replace(
-                /\.([cm]?js)$/,
-                '.dev.$1',
-              ),
+    for (const pkg of packages) {
+      const directory = path.relative(root, pkg.root).split(path.sep).join('/')
 
-              worker: publishManifest.exports[entryPoint].worker?.replace(
-                /\.([cm]?js)$/,
-                '.dev.$1',
-              ),
+      if (matcher.test(pkg.name) || matcher.test(directory)) {
+        select(pkg, withDependencies)
+      }
+    }
+  }
 
-              // for bundlers and jsbpm.dev
-              browser: publishManifest.exports[entryPoint].browser?.replace(
-                /\.([cm]?js)$/,
-                '.dev.$1',
-              ),
+  const names = new Set([...selected].map(({ name }) => name))
 
-              // for direct script usage
-              script: publishManifest.exports[entryPoint].script?.replace(
-                /\.([cm]?js)$/,
-                '.dev.$1',
-              ),
+  // dependencies outside of the selection are used as they are
+  return [...selected].map((pkg) => ({
+    ...pkg,
+    dependencies: pkg.dependencies.filter((dependency) => names.has(dependency)),
+  }))
+}
 
-              // Node.js
-              node: publishManifest.exports[entryPoint].node && {
-                // nodejs esm wrapper
-                import: publishManifest.exports[entryPoint].node.import.replace(
-                  /\.([cm]?js)$/,
-                  '.dev.$1',
-                ),
-                require: publishManifest.exports[entryPoint].node.require.replace(
-                  /\.([cm]?js)$/,
-                  '.dev.$1',
-                ),
-              },
+function globToRegExp(pattern) {
+  return new RegExp(
+    '^' +
+      pattern
+        .replace(/\/$/, '')
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*\*/g, '\0')
+        .replace(/\*/g, '[^/]*')
+        .replace(/\?/g, '[^/]')
+        .replace(/\0/g, '.*') +
+      '$',
+  )
+}
 
-              default: publishManifest.exports[entryPoint].default?.replace(
-                /\.([cm]?js)$/,
-                '.dev.$1',
-              ),
-            }
-          }
+/**
+ * Sort packages so that each package comes after its workspace dependencies
+ */
+function sortWorkspacePackages(packages) {
+  const byName = new Map(packages.map((pkg) => [pkg.name, pkg]))
+  const sorted = []
+  const visiting = []
 
-          await generatedBundles('development')
-        }
+  const visit = (pkg) => {
+    if (sorted.includes(pkg)) return
 
-        const readFile = async (file) => {
-          // minify to remove all comments
-          const output = await minify(readFileSync(path.resolve(paths.dist, file), 'utf8'), {
-            // https://github.com/swc-project/swc/blob/main/crates/swc_ecma_minifier/src/option/terser.rs#L429
-            mangle: false,
-            compress: false,
-            format: { comments: false, ecma: 2022 },
-            sourceMap: false,
-          })
+    if (visiting.includes(pkg)) {
+      const cycle = [...visiting.slice(visiting.indexOf(pkg)), pkg].map(({ name }) => name)
+      throw new Error(`Circular workspace dependency: ${cycle.join(' -> ')}`)
+    }
 
-          return output.code
-        }
+    visiting.push(pkg)
+    pkg.dependencies.forEach((dependency) => visit(byName.get(dependency)))
+    visiting.pop()
 
-        const createFacade = async (from, to, isCJS = false) => {
-          const toFile = path.resolve(paths.dist, to)
-          const fromFile = path.resolve(paths.dist, from)
+    sorted.push(pkg)
+  }
 
-          const target = path.relative(path.dirname(fromFile), toFile)
-          const relative = target[0] === '.' ? target : `./${target}`
+  packages.forEach(visit)
 
-          let content
-          if (isCJS) {
-            content = `module.exports = require(${JSON.stringify(relative)});`
-          } else {
-            const { parse } = await import('es-module-lexer')
-            const { 1: exports, 2: facade } = await parse(readFileSync(toFile, 'utf8'))
+  return sorted
+}
 
-            content =
-              [
-                (facade || exports.some(({ n }) => n && n !== 'default')) &&
-                  `export * from ${JSON.stringify(relative)};`,
-                exports.some(({ n }) => n === 'default') &&
-                  `export { default } from ${JSON.stringify(relative)};`,
-              ]
-                .filter(Boolean)
-                .join('\n') || `import ${JSON.stringify(relative)};`
-          }
+const CONFIG_FILES = ['distilt.config.js', 'distilt.config.mjs', 'distilt.config.cjs']
+
+// not part of the published declarations and sources
+const TEST_FILES = [
+  '**/__mocks__/**',
+  '**/__fixtures__/**',
+  '**/__tests__/**',
+  '**/test/**',
+  '**/tests/**',
+  '**/*.test.ts',
+  '**/*.test.tsx',
+  '**/*.spec.ts',
+  '**/*.spec.tsx',
+  '**/*.test.js',
+  '**/*.spec.js',
+]
 
-          await fs.writeFile(fromFile, content)
-          await fs.unlink(`${fromFile}.map`)
-        }
+/**
+ * Load `distilt.config.js` from the package root or the given file
+ */
+async function loadConfig(file, paths, options) {
+  if (file === false) return {}
 
-        console.time('De-duplicated entry points based on content')
-        // de-duplicate entryPoints
-        // deno -> module, worker, esnext
-        // worker -> module, browser, esnext
-        // browser -> module, esnext
-        // esnext -> module
-
-        for (const { entryPoint } of entryPoints) {
-          // TODO: not pretty – refactor one day
-          if (needsDevelopmentBuild) {
-            const {
-              esnext,
-              deno,
-              module,
-              worker,
-              browser,
-              node: { require: node } = {},
-            } = publishManifest.exports[entryPoint]
-
-            const {
-              esnext: esnextDev,
-              deno: denoDev,
-              module: moduleDev,
-              worker: workerDev,
-              browser: browserDev,
-              node: { require: nodeDev } = {},
-            } = publishManifest.exports[entryPoint].development
-
-            if (deno && denoDev && (await readFile(deno)) === (await readFile(denoDev))) {
-              await createFacade(denoDev, deno)
-            } else if (
-              moduleDev &&
-              denoDev &&
-              (await readFile(moduleDev)) == (await readFile(denoDev))
-            ) {
-              await createFacade(denoDev, moduleDev)
-            } else if (
-              esnextDev &&
-              denoDev &&
-              (await readFile(esnextDev)) == (await readFile(denoDev))
-            ) {
-              await createFacade(denoDev, esnextDev)
-            } else if (
-              workerDev &&
-              denoDev &&
-              (await readFile(workerDev)) == (await readFile(denoDev))
-            ) {
-              await createFacade(denoDev, workerDev)
-            } else if (
-              browserDev &&
-              denoDev &&
-              (await readFile(browserDev)) == (await readFile(denoDev))
-            ) {
-              await createFacade(denoDev, browserDev)
-            }
+  // an inline config passed to build()
+  if (file && typeof file === 'object') return file
 
-            if (worker && workerDev && (await readFile(worker)) === (await readFile(workerDev))) {
-              await createFacade(workerDev, worker)
-            } else if (
-              moduleDev &&
-              workerDev &&
-              (await readFile(moduleDev)) == (await readFile(workerDev))
-            ) {
-              await createFacade(workerDev, moduleDev)
-            } else if (
-              esnextDev &&
-              workerDev &&
-              (await readFile(esnextDev)) == (await readFile(workerDev))
-            ) {
-              await createFacade(workerDev, esnextDev)
-            } else if (
-              browserDev &&
-              workerDev &&
-              (await readFile(browserDev)) == (await readFile(workerDev))
-            ) {
-              await createFacade(workerDev, browserDev)
-            }
+  const configFile = file
+    ? path.resolve(paths.current, file)
+    : CONFIG_FILES.map((name) => path.resolve(paths.root, name)).find(isFileReadable)
 
-            if (
-              browser &&
-              browserDev &&
-              (await readFile(browser)) === (await readFile(browserDev))
-            ) {
-              await createFacade(browserDev, browser)
-            } else if (
-              moduleDev &&
-              browserDev &&
-              (await readFile(moduleDev)) == (await readFile(browserDev))
-            ) {
-              await createFacade(browserDev, moduleDev)
-            } else if (
-              esnextDev &&
-              browserDev &&
-              (await readFile(esnextDev)) == (await readFile(browserDev))
-            ) {
-              await createFacade(browserDev, esnextDev)
-            }
+  if (!configFile) return {}
 
-            if (esnext && esnextDev && (await readFile(esnext)) === (await readFile(esnextDev))) {
-              await createFacade(esnextDev, esnext)
-            } else if (
-              moduleDev &&
-              esnextDev &&
-              (await readFile(moduleDev)) == (await readFile(esnextDev))
-            ) {
-              await createFacade(esnextDev, moduleDev)
-            }
+  const { default: config } = await import(pathToFileURL(configFile).href)
 
-            if (module && moduleDev && (await readFile(module)) === (await readFile(moduleDev))) {
-              await createFacade(moduleDev, module)
-            }
+  return (
+    (typeof config === 'function'
+      ? await config({ root: paths.root, watch: Boolean(options.watch) })
+      : config) || {}
+  )
+}
 
-            if (node && nodeDev && (await readFile(node)) === (await readFile(nodeDev))) {
-              await createFacade(nodeDev, node, true)
-            }
-          }
+/**
+ * Define a config with type hints
+ */
+export function defineConfig(config) {
+  return config
+}
 
-          const { esnext, deno, module, worker, browser } = publishManifest.exports[entryPoint]
+/**
+ * Apply a config extension: objects are merged deeply, functions may return new options
+ */
+function extendOptions(options, extension, context) {
+  if (typeof extension === 'function') {
+    return extension(options, context) || options
+  }
 
-          if (module && deno && (await readFile(module)) == (await readFile(deno))) {
-            await createFacade(deno, module)
-          } else if (esnext && deno && (await readFile(esnext)) == (await readFile(deno))) {
-            await createFacade(deno, esnext)
-          } else if (worker && deno && (await readFile(worker)) == (await readFile(deno))) {
-            await createFacade(deno, worker)
-          }
+  return extension ? mergeDeep(options, extension) : options
+}
 
-          if (module && worker && (await readFile(module)) == (await readFile(worker))) {
-            await createFacade(worker, module)
-          } else if (esnext && worker && (await readFile(esnext)) == (await readFile(worker))) {
-            await createFacade(worker, esnext)
-          } else if (browser && worker && (await readFile(browser)) == (await readFile(worker))) {
-            await createFacade(worker, browser)
-          }
+/**
+ * Content-addressed cache for the files written by a build task
+ *
+ * The record of a task key lists the hashes of all input files. The outputs are stored in a
+ * directory named by the hash of the task key and these input hashes.
+ */
+function createBuildCache(directory) {
+  // each file is read at most once per build
+  const fileHashes = new Map()
+
+  const hashFile = (file) => {
+    if (!fileHashes.has(file)) {
+      fileHashes.set(
+        file,
+        fs.readFile(file).then(hash, () => undefined),
+      )
+    }
 
-          if (module && browser && (await readFile(module)) == (await readFile(browser))) {
-            await createFacade(browser, module)
-          } else if (esnext && browser && (await readFile(esnext)) == (await readFile(browser))) {
-            await createFacade(browser, esnext)
-          }
+    return fileHashes.get(file)
+  }
 
-          if (module && esnext && (await readFile(module)) == (await readFile(esnext))) {
-            await createFacade(esnext, module)
-          }
-        }
+  const readRecord = (key) =>
+    fs.readFile(path.resolve(directory, `${key}.json`), 'utf8').then(JSON.parse, () => undefined)
 
-        console.timeEnd('De-duplicated entry points based on content')
-      })(),
-      (async () => {
-        console.time('Generated typescript bundles')
-        await Promise.all(
-          entryPoints.map(({ outputFile, conditions }) => {
-            return generateTypesBundle(
-              conditions.default || conditions.browser || conditions.node,
-              path.resolve(paths.dist, `${outputFile}.d.ts`),
-            )
-          }),
-        )
-        console.timeEnd('Generated typescript bundles')
-      })(),
-    ])
+  const copyFiles = (files, from, to) =>
+    Promise.all(
+      files.map(async (fileName) => {
+        await fs.mkdir(path.dirname(path.resolve(to, fileName)), { recursive: true })
+        await fs.copyFile(path.resolve(from, fileName), path.resolve(to, fileName))
+      }),
+    )
+
+  return {
+    async restore(key, dist) {
+      const record = await readRecord(key)
+
+      if (!record) return
+
+      for (const [file, fileHash] of Object.entries(record.inputs)) {
+        if ((await hashFile(file)) !== fileHash) return
+      }
+
+      try {
+        await copyFiles(record.files, path.resolve(directory, record.outputs), dist)
+      } catch {
+        return
+      }
+
+      return record
+    },
 
-    publishManifest.dependencies = Object.keys(manifest.dependencies).length
-      ? manifest.dependencies
-      : undefined
+    async save(key, dist, { inputs, ...record }) {
+      const hashes = {}
 
-    await fs.writeFile(manifestPath, JSON.stringify(publishManifest, omitComments, 2))
+      // virtual modules like `\0commonjsHelpers.js` have no file
+      for (const file of inputs.filter((file) => path.isAbsolute(file)).sort()) {
+        if ((hashes[file] = await hashFile(file)) === undefined) return
+      }
+
+      const outputs = hash(JSON.stringify([key, hashes]))
+      const previous = await readRecord(key)
+
+      await copyFiles(record.files, dist, path.resolve(directory, outputs))
+
+      await fs.writeFile(
+        path.resolve(directory, `${key}.json`),
+        JSON.stringify({ ...record, inputs: hashes, outputs }),
+      )
+
+      if (previous && previous.outputs !== outputs) {
+        await (fs.rm || fs.rmdir)(path.resolve(directory, previous.outputs), {
+          recursive: true,
+          force: true,
+        })
+      }
+    },
   }
+}
 
-  async function generateTypesBundle(inputFile, dtsFile) {
-    const typesDirectory = await typesDirectoryPromise
+/**
+ * The installed versions of all dependencies
+ */
+function resolveDependencyVersions(manifest, root) {
+  return Object.fromEntries(
+    Object.keys({
+      ...manifest.dependencies,
+      ...manifest.devDependencies,
+      ...manifest.peerDependencies,
+      ...manifest.optionalDependencies,
+    })
+      .sort()
+      .map((name) => {
+        const file = findUpSync(path.join('node_modules', name, 'package.json'), { cwd: root })
+
+        return [name, file && JSON.parse(readFileSync(file, 'utf8')).version]
+      }),
+  )
+}
 
-    inputFile = path.relative(path.dirname(paths.tsconfig), path.resolve(process.cwd(), inputFile))
+/**
+ * Rollup plugin adding the chunks, modules and bundled dependencies of each output to `stats`
+ */
+function bundleStats(stats, root) {
+  const relative = (id) =>
+    path.isAbsolute(id) ? path.relative(root, id).split(path.sep).join('/') : id.replace(/\0/g, '')
+
+  return {
+    name: 'distilt-stats',
+    generateBundle(outputOptions, bundle) {
+      // the shortest import chain from an entry module to each module
+      const importers = new Map()
+      const queue = [...this.getModuleIds()].filter((id) => this.getModuleInfo(id).isEntry)
+
+      queue.forEach((id) => importers.set(id, null))
+
+      for (const id of queue) {
+        const { importedIds, dynamicallyImportedIds } = this.getModuleInfo(id)
+
+        for (const imported of [...importedIds, ...dynamicallyImportedIds]) {
+          if (!importers.has(imported)) {
+            importers.set(imported, id)
+            queue.push(imported)
+          }
+        }
+      }
 
-    // './src/shim/index.ts'
-    // => '.types/src/shim/index.ts'
-    // => '.types/shim/index.ts'
-    // => '.types/index.ts'
+      const importChain = (id) => {
+        const chain = []
 
-    const parts = inputFile.replace(/\.(ts|tsx)$/, '.d.ts').split(path.sep)
+        for (let current = id; current; current = importers.get(current)) {
+          chain.unshift(relative(current))
+        }
 
-    if (paths.relative) {
-      parts.unshift(...paths.relative.split(path.sep))
-    }
+        return chain
+      }
+
+      for (const chunk of Object.values(bundle)) {
+        if (chunk.type !== 'chunk') continue
+
+        const modules = Object.entries(chunk.modules)
+          .map(([id, { renderedLength, originalLength }]) => ({
+            id: relative(id),
+            dependency: dependencyName(id),
+            size: renderedLength,
+            originalSize: originalLength,
+          }))
+          .sort((a, b) => b.size - a.size)
+
+        stats.chunks.push({
+          file: chunk.fileName,
+          format: outputOptions.format,
+          entry: chunk.isEntry,
+          size: Buffer.byteLength(chunk.code),
+          imports: chunk.imports,
+          dynamicImports: chunk.dynamicImports,
+          modules,
+        })
 
-    let sourceDtsFile = path.resolve(typesDirectory, parts.join('/'))
+        for (const [id, { renderedLength }] of Object.entries(chunk.modules)) {
+          const name = dependencyName(id)
 
-    for (let offset = 0; offset < parts.length && !existsSync(sourceDtsFile); offset++) {
-      sourceDtsFile = path.resolve(typesDirectory, parts.slice(offset).join('/'))
-    }
+          if (!name) continue
 
-    const bundle = await rollup({
-      input: path.relative(process.cwd(), sourceDtsFile),
-      plugins: [dts()],
-      onwarn(warning, warn) {
-        if (warning.code === 'CIRCULAR_DEPENDENCY') {
-          return
+          const dependency = (stats.dependencies[name] = stats.dependencies[name] || {
+            size: 0,
+            modules: 0,
+            chain: importChain(id),
+          })
+
+          dependency.size += renderedLength
+          dependency.modules += 1
+
+          const chain = importChain(id)
+
+          if (chain.length < dependency.chain.length) dependency.chain = chain
         }
+      }
+    },
+  }
+}
 
-        if (warning.code === 'UNRESOLVED_IMPORT' && warning.source?.startsWith('node:')) {
-          throw new Error(warning.message)
+// the package name of a module in node_modules
+function dependencyName(id) {
+  const [, name] = /.*[\\/]node_modules[\\/]((?:@[^\\/]+[\\/])?[^\\/]+)/.exec(id) || []
+
+  return name && name.replace(/\\/g, '/')
+}
+
+/**
+ * A self-contained treemap of the stats: chunks, then packages, then modules
+ */
+function statsToHTML(stats) {
+  const tree = {
+    name: `${stats.target} [${stats.mode}]`,
+    children: stats.chunks.map(({ file, modules }) => {
+      const groups = {}
+
+      for (const { id, dependency, size } of modules) {
+        const group = dependency || '(sources)'
+
+        groups[group] = groups[group] || { name: group, children: [] }
+        groups[group].children.push({ name: id, size })
+      }
+
+      return { name: file, children: Object.values(groups) }
+    }),
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>${stats.target} [${stats.mode}]</title>
+    <style>
+      body { margin: 0; font: 12px sans-serif; }
+      #map { position: absolute; inset: 0; }
+      .node { position: absolute; box-sizing: border-box; border: 1px solid #fff; overflow: hidden; padding: 2px; }
+    </style>
+  </head>
+  <body>
+    <div id="map"></div>
+    <script>
+      const tree = ${JSON.stringify(tree).replace(/</g, '\\u003c')}
+      const sizeOf = (node) => (node.size = node.children ? node.children.reduce((sum, child) => sum + sizeOf(child), 0) : node.size || 0)
+      sizeOf(tree)
+
+      const map = document.getElementById('map')
+      const format = (bytes) => bytes < 1024 ? bytes + ' B' : (bytes / 1024).toFixed(2) + ' kB'
+
+      // slice and dice: split the area of each node between its children, alternating the axis
+      const layout = (node, x, y, width, height, depth, path) => {
+        const element = document.createElement('div')
+        element.className = 'node'
+        element.title = path.concat(node.name).join(' > ') + ' (' + format(node.size) + ')'
+        element.textContent = node.name
+        element.style.cssText = 'left:' + x + '%;top:' + y + '%;width:' + width + '%;height:' + height + '%;background:hsl(' + ((depth * 67) % 360) + ',55%,' + (85 - depth * 8) + '%)'
+        map.appendChild(element)
+
+        let offset = 0
+        for (const child of (node.children || []).filter((child) => child.size).sort((a, b) => b.size - a.size)) {
+          const share = child.size / node.size
+          depth % 2
+            ? layout(child, x, y + offset * height, width, share * height, depth + 1, path.concat(node.name))
+            : layout(child, x + offset * width, y, share * width, height, depth + 1, path.concat(node.name))
+          offset += share
         }
+      }
 
-        // Use default for everything else
-        warn(warning)
-      },
-    })
+      layout(tree, 0, 0, 100, 100, 0, [])
+    </script>
+  </body>
+</html>
+`
+}
 
-    await bundle.write({
-      format: 'esm',
-      file: dtsFile,
-      sourcemap: true,
-      freeze: false,
-      esModule: false,
-      exports: 'auto',
-      generatedCode: 'es2015',
-    })
+// removes comments and the whitespace that is not needed — strings are kept as they are
+function minifyCSS(css) {
+  let result = ''
+
+  for (let index = 0; index < css.length; index++) {
+    const char = css[index]
+
+    if (char === '"' || char === "'") {
+      let end = index + 1
+      while (end < css.length && css[end] !== char) end += css[end] === '\\' ? 2 : 1
+
+      result += css.slice(index, end + 1)
+      index = end
+    } else if (char === '/' && css[index + 1] === '*') {
+      const end = css.indexOf('*/', index + 2)
+
+      index = end === -1 ? css.length : end + 1
+    } else if (/\s/.test(char)) {
+      while (/\s/.test(css[index + 1])) index++
+
+      if (result && !/[{};,>:]$/.test(result) && !/[{};,>]/.test(css[index + 1])) {
+        result += ' '
+      }
+    } else {
+      // the last semicolon of a block is optional
+      if (char === '}') result = result.replace(/;$/, '')
+
+      result += char
+    }
   }
 
-  async function generateTypescriptDeclarations() {
-    const typesDirectory = path.resolve(paths.dist, '.types')
+  return result.trim()
+}
 
-    const tsconfig = path.resolve(path.dirname(paths.tsconfig), 'tsconfig.dist.json')
+function hash(content) {
+  return createHash('sha256').update(content).digest('hex')
+}
 
-    await fs.writeFile(
-      tsconfig,
-      JSON.stringify(
-        {
-          extends: './' + path.basename(paths.tsconfig),
-          exclude: [
-            '**/__mocks__/**',
-            '**/__fixtures__/**',
-            '**/__tests__/**',
-            '**/test/**',
-            '**/tests/**',
-            '**/*.test.ts',
-            '**/*.test.tsx',
-            '**/*.spec.ts',
-            '**/*.spec.tsx',
-            '**/*.test.js',
-            '**/*.spec.js',
-          ],
-          compilerOptions: {
-            target: 'ESNext',
-            module: 'ESNext',
-            emitDeclarationOnly: true,
-            noEmit: false,
-            outDir: typesDirectory,
-          },
-        },
-        null,
-        2,
-      ),
-    )
+/**
+ * Like `JSON.stringify` but includes the source of functions — for example of plugin hooks
+ *
+ * With `sortKeys` objects that only differ in the order of their keys serialize the same; not
+ * used by default as the order of `exports` and similar maps is significant.
+ */
+function serialize(value, { sortKeys = false } = {}) {
+  const seen = new WeakSet()
 
-    try {
-      // tsc --project tsconfig.dist.json
-      await execa('tsc', ['--project', tsconfig], {
-        cwd: paths.root,
-        extendEnv: true,
-        stdout: 'inherit',
-        stderr: 'inherit',
-      })
-    } finally {
-      await fs.unlink(tsconfig)
+  return JSON.stringify(value, (key, value) => {
+    if (typeof value === 'function') return String(value)
+
+    // plugins may reference themselves
+    if (value && typeof value === 'object') {
+      if (seen.has(value)) return '[Seen]'
+      seen.add(value)
+
+      if (sortKeys && isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).sort(([a], [b]) => (a < b ? -1 : 1)))
+      }
     }
 
-    return typesDirectory
+    return value
+  })
+}
+
+function mergeDeep(target, source) {
+  const result = { ...target }
+
+  for (const [key, value] of Object.entries(source)) {
+    result[key] =
+      isPlainObject(value) && isPlainObject(target?.[key]) ? mergeDeep(target[key], value) : value
   }
+
+  return result
+}
+
+function isPlainObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]'
+}
+
+function formatBytes(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(2)} kB`
+}
+
+// 1024, '1 kB' or '1.5 MB'
+function parseBytes(value) {
+  if (typeof value === 'number') return value
+
+  const [, amount, unit = 'b'] = /^\s*([\d.]+)\s*([km]?i?b)?\s*$/i.exec(value) || []
+
+  if (!amount) throw new Error(`Invalid size budget: ${JSON.stringify(value)}`)
+
+  return Number(amount) * { b: 1, k: 1024, m: 1024 * 1024 }[unit[0].toLowerCase()]
+}
+
+function formatDuration(duration) {
+  // same format as console.timeEnd
+  return duration < 1000 ? `${duration.toFixed(3)}ms` : `${(duration / 1000).toFixed(3)}s`
+}
+
+function optInTarget(target, defaultTarget) {
+  return target === true ? defaultTarget : target || undefined
 }
 
 function makeGlobalName(name) {
@@ -1937,6 +5120,130 @@ function makeGlobalName(name) {
   })
 }
 
+/**
+ * Call `visit` for every condition object and target in an exports map
+ */
+function walkExports(exports, visit) {
+  const walk = (value, entryPoint, conditions) => {
+    if (Array.isArray(value)) {
+      return value.forEach((value) => walk(value, entryPoint, conditions))
+    }
+
+    visit(value, {
+      entryPoint,
+      conditions,
+      label: `${entryPoint}${conditions.length ? ` [${conditions.join('.')}]` : ''}`,
+    })
+
+    if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([condition, value]) =>
+        walk(value, entryPoint, [...conditions, condition]),
+      )
+    }
+  }
+
+  if (!exports) return
+
+  if (typeof exports === 'string' || Object.keys(exports).every((key) => key[0] !== '.')) {
+    walk(exports, '.', [])
+  } else {
+    Object.entries(exports).forEach(([entryPoint, value]) => walk(value, entryPoint, []))
+  }
+}
+
+/**
+ * The declaration files of an entry point — one for each distinct source of its conditions
+ */
+function declarationFiles(outputFile, conditions) {
+  const generic = conditions.default || conditions.browser || conditions.node
+
+  const sources = {
+    node: conditions.node || conditions.default,
+    browser: conditions.browser || conditions.default,
+    deno: conditions.deno || conditions.browser || conditions.default,
+    worker: conditions.worker || conditions.browser || conditions.default,
+    bun: conditions.bun || conditions.node || conditions.default,
+    edge:
+      conditions['edge-light'] ||
+      conditions.workerd ||
+      conditions.worker ||
+      conditions.browser ||
+      conditions.default,
+    'react-native': conditions['react-native'] || conditions.browser || conditions.default,
+  }
+
+  // source -> declaration file
+  const bundles = new Map([[generic, `${outputFile}.d.ts`]])
+
+  for (const [platform, source] of Object.entries(sources)) {
+    if (source && !bundles.has(source)) {
+      bundles.set(source, `${outputFile}.${platform}.d.ts`)
+    }
+  }
+
+  return {
+    bundles,
+    // used for the node import and require declarations
+    node: bundles.get(sources.node) || `${outputFile}.d.ts`,
+    // platform -> declaration file if it differs from the generic one
+    platforms: Object.fromEntries(
+      Object.entries(sources)
+        .filter(([, source]) => source && source !== generic)
+        .map(([platform, source]) => [platform, bundles.get(source)]),
+    ),
+  }
+}
+
+function hasNestedTypes(target) {
+  return Boolean(
+    target &&
+      typeof target === 'object' &&
+      Object.entries(target).some(
+        ([condition, target]) => condition === 'types' || hasNestedTypes(target),
+      ),
+  )
+}
+
+/**
+ * Whether an AST uses `await` or `for await` outside of any function
+ */
+function hasTopLevelAwait(node) {
+  if (!node || typeof node !== 'object') return false
+
+  if (Array.isArray(node)) return node.some(hasTopLevelAwait)
+
+  if (node.type === 'AwaitExpression' || (node.type === 'ForOfStatement' && node.await)) {
+    return true
+  }
+
+  if (/Function/.test(node.type)) return false
+
+  return Object.values(node).some(hasTopLevelAwait)
+}
+
+/**
+ * Resolve a target of an exports map like Node.js does for the given conditions
+ */
+function resolveExportsTarget(value, conditions) {
+  if (Array.isArray(value)) {
+    for (const target of value) {
+      const resolved = resolveExportsTarget(target, conditions)
+      if (resolved !== undefined) return resolved
+    }
+
+    return
+  }
+
+  if (!value || typeof value !== 'object') return value
+
+  for (const [condition, target] of Object.entries(value)) {
+    if (condition === 'default' || conditions.includes(condition)) {
+      const resolved = resolveExportsTarget(target, conditions)
+      if (resolved !== undefined) return resolved
+    }
+  }
+}
+
 function omitComments(key, value) {
   if (key.startsWith('//')) {
     return undefined